@@ -5,10 +5,13 @@
 // Sections:
 // 1. Configuration & Constants
 // 2. Type Definitions
-// 3. Variable Manager
-// 4. Frame Builder
-// 5. Message Handler
-// 6. Plugin Initialization
+// 3. Path Helpers
+// 4. Variable Manager
+// 5. Style Manager
+// 6. Frame Builder
+// 7. Storage Manager
+// 8. Message Handler
+// 9. Plugin Initialization
 // ============================================================================
 
 // ============================================================================
@@ -23,24 +26,68 @@ const UI_CONFIG = {
 
 const FRAME_CONFIG = {
   COLOR_ITEM_HEIGHT: 40,
-  COLOR_ITEM_WIDTH: 272,
+  COLOR_ITEM_WIDTH: 400,
   ITEM_SPACING: 2,
   CORNER_RADIUS: 8,
   HORIZONTAL_PADDING: 12,
   VERTICAL_PADDING: 0,
   OFFSET_X: 240,
-  OFFSET_Y: 0
+  OFFSET_Y: 0,
+  PALETTE_SPACING: 40,
+  ANCHOR_STROKE_WEIGHT: 2
+} as const;
+
+const MATRIX_CONFIG = {
+  CELL_WIDTH: 56,
+  CELL_HEIGHT: 40,
+  CELL_SPACING: 2,
+  CORNER_RADIUS: 4,
+  FAIL_OPACITY: 0.25,
+  TITLE_SPACING: 12
 } as const;
 
 const FONT_CONFIG = {
   family: 'Inter',
   style: 'Regular',
-  size: 16
+  size: 16,
+  labelSize: 12
 } as const;
 
 const COLLECTION_NAMES = {
   GLOBAL: 'Global',
-  NEUTRAL: 'Neutral'
+  NEUTRAL: 'Neutral',
+  SEMANTIC: 'Semantic'
+} as const;
+
+const VARIABLE_SCOPES: Record<string, VariableScope[]> = {
+  all: ['ALL_SCOPES'],
+  'fill-stroke': ['ALL_FILLS', 'STROKE_COLOR'],
+  fill: ['ALL_FILLS'],
+  text: ['TEXT_FILL']
+};
+
+const PLUGIN_DATA_KEYS = {
+  SCOPES: 'scopes',
+  PALETTE: 'palette',
+  PALETTE_ID: 'palette-id',
+  SETTINGS: 'settings',
+  GENERATED: 'generated'
+} as const;
+
+const CLIENT_STORAGE_KEYS = {
+  USER_PRESETS: 'user-presets',
+  SESSION: 'session'
+} as const;
+
+const SHARED_PLUGIN_DATA = {
+  NAMESPACE: 'shade_perfection',
+  PRESETS: 'presets'
+} as const;
+
+const MODE_NAMES = {
+  DEFAULT: 'Mode 1',
+  LIGHT: 'Light',
+  DARK: 'Dark'
 } as const;
 
 // ============================================================================
@@ -50,23 +97,139 @@ const COLLECTION_NAMES = {
 interface ColorData {
   hex: string;
   name: string;
+  step: string;
   rgb: RGB;
+  darkRgb?: RGB;
   textColor: RGB;
   rgbString: string;
+  contrastLabel?: string;
   isSelected?: boolean;
+  isAnchor?: boolean;
   isBlack?: boolean;
   isWhite?: boolean;
 }
 
-interface PaletteMessage {
-  type: 'create-palette';
+interface VariableTarget {
+  collectionId: string | null;
+  collectionName: string;
+  groupPrefix: string;
+}
+
+interface VariableOptions {
+  scopes: string;
+  overwriteScopes: boolean;
+  codeSyntax: { [platform in CodeSyntaxPlatform]?: string };
+}
+
+interface SemanticToken {
+  role: string;
+  step: string | null;
+}
+
+interface PaletteImport {
+  paletteId: string;
   colors: ColorData[];
   paletteName: string;
+  settings?: Record<string, unknown>;
+}
+
+interface PaletteMessage {
+  type: 'create-palette';
+  palettes: PaletteImport[];
   isRgbFormat: boolean;
   withVariables: boolean;
+  withStyles?: boolean;
+  withDarkMode?: boolean;
+  variableTarget?: VariableTarget;
+  variableOptions?: VariableOptions;
+  semanticTokens?: SemanticToken[];
+  semanticPaletteId?: string;
+  semanticCollectionName?: string;
+}
+
+interface CollectionInfo {
+  id: string;
+  name: string;
+  modes: { modeId: string; name: string }[];
+}
+
+interface MatrixColor {
+  hex: string;
+  name: string;
+  rgb: RGB;
+  textColor: RGB;
+}
+
+interface ContrastMatrixCell {
+  label: string;
+  passes: boolean;
+}
+
+interface ContrastMatrixMessage {
+  type: 'create-contrast-matrix';
+  paletteName: string;
+  colors: MatrixColor[];
+  cells: ContrastMatrixCell[][];
+  title: string;
+}
+
+interface UserPreset {
+  id: string;
+  name: string;
+  settings: Record<string, unknown>;
+}
+
+interface SaveUserPresetsMessage {
+  type: 'save-user-presets';
+  presets: UserPreset[];
+}
+
+interface SaveFilePresetsMessage {
+  type: 'save-file-presets';
+  data: string;
+}
+
+interface SaveSessionMessage {
+  type: 'save-session';
+  session: Record<string, unknown>;
+}
+
+type PluginMessage =
+  | PaletteMessage
+  | ContrastMatrixMessage
+  | SaveUserPresetsMessage
+  | SaveFilePresetsMessage
+  | SaveSessionMessage;
+
+// ============================================================================
+// PATH HELPERS
+// ============================================================================
+
+/**
+ * Join name segments into a slash separated group path, dropping empty
+ * segments and stray slashes
+ */
+function joinGroupPath(...segments: string[]): string {
+  return segments
+    .join('/')
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .join('/');
 }
 
-type PluginMessage = PaletteMessage;
+/**
+ * Get the name segment directly inside a group, e.g. "100" for
+ * "Brand/Primary/100" in "Brand/Primary". Names in nested groups such as
+ * "Brand/Primary/Light/100" and names outside the group return null.
+ */
+function getDirectChildName(name: string, groupPath: string): string | null {
+  const prefix = `${groupPath}/`;
+  if (!name.startsWith(prefix)) return null;
+
+  const child = name.slice(prefix.length);
+  return child && !child.includes('/') ? child : null;
+}
 
 // ============================================================================
 // VARIABLE MANAGER
@@ -76,30 +239,126 @@ type PluginMessage = PaletteMessage;
 class VariableManager {
   private collection: VariableCollection | null = null;
   private defaultMode: string = '';
+  private darkMode: string | null = null;
+  private groupPrefix: string = '';
+
+  /**
+   * List local variable collections with their modes
+   */
+  async getCollections(): Promise<CollectionInfo[]> {
+    const collections = await figma.variables.getLocalVariableCollectionsAsync();
+
+    return collections.map(collection => ({
+      id: collection.id,
+      name: collection.name,
+      modes: collection.modes.map(({ modeId, name }) => ({ modeId, name }))
+    }));
+  }
 
   /**
    * Initialize variable manager and ensure collection exists
+   * @param target - Collection to use or create and group path for variables
+   * @param withDarkMode - Write values to "Light" and "Dark" modes instead of the first mode.
+   *   Collections that already have a "Dark" mode always get both modes, so it never goes stale.
    */
-  async initialize(): Promise<void> {
+  async initialize(
+    target?: VariableTarget,
+    withDarkMode: boolean = false
+  ): Promise<void> {
+    const collectionName = target?.collectionName || COLLECTION_NAMES.GLOBAL;
     const collections = await figma.variables.getLocalVariableCollectionsAsync();
-    this.collection = collections.find(c => c.name === COLLECTION_NAMES.GLOBAL) || null;
+    this.collection =
+      collections.find(c => c.id === target?.collectionId) ||
+      collections.find(c => c.name === collectionName) ||
+      null;
 
     if (!this.collection) {
-      this.collection = figma.variables.createVariableCollection(COLLECTION_NAMES.GLOBAL);
+      this.collection = figma.variables.createVariableCollection(collectionName);
     }
 
+    this.groupPrefix = joinGroupPath(target?.groupPrefix || '');
+
+    const existingDarkMode = this.collection.modes.find(
+      mode => mode.name === MODE_NAMES.DARK
+    );
+
     this.defaultMode = this.collection.modes[0].modeId;
+    this.darkMode = null;
+
+    if (withDarkMode || existingDarkMode) {
+      this.defaultMode = this._getLightMode();
+      this.darkMode =
+        existingDarkMode?.modeId || this.collection.addMode(MODE_NAMES.DARK);
+    }
+  }
+
+  /**
+   * Find the mode for light values: a "Light" mode, else the first mode
+   * unless it is the "Dark" one. The untouched default mode of a new
+   * collection is renamed to "Light"; other names are kept.
+   * @private
+   * @returns Mode ID
+   */
+  private _getLightMode(): string {
+    if (!this.collection) {
+      throw new Error('Variable collection not initialized');
+    }
+
+    const { modes } = this.collection;
+    const lightMode = modes.find(mode => mode.name === MODE_NAMES.LIGHT);
+    if (lightMode) return lightMode.modeId;
+
+    const [firstMode] = modes;
+    if (firstMode.name === MODE_NAMES.DEFAULT) {
+      this.collection.renameMode(firstMode.modeId, MODE_NAMES.LIGHT);
+      return firstMode.modeId;
+    }
+    if (firstMode.name !== MODE_NAMES.DARK) return firstMode.modeId;
+
+    return this.collection.addMode(MODE_NAMES.LIGHT);
+  }
+
+  /**
+   * Build variable name inside the group prefix
+   * @private
+   */
+  private _getVariablePath(...segments: string[]): string {
+    return joinGroupPath(this.groupPrefix, ...segments);
+  }
+
+  /**
+   * Check whether variable belongs to the target collection
+   * @private
+   */
+  private _isInCollection(variable: Variable): boolean {
+    return variable.variableCollectionId === this.collection?.id;
+  }
+
+  /**
+   * Set variable value for default mode, and for dark mode when the
+   * collection has one. Without dark values the light value is used.
+   * @private
+   */
+  private _setColorValues(variable: Variable, color: ColorData): void {
+    variable.setValueForMode(this.defaultMode, { ...color.rgb, a: 1 });
+
+    if (this.darkMode) {
+      const darkRgb = color.darkRgb || color.rgb;
+      variable.setValueForMode(this.darkMode, { ...darkRgb, a: 1 });
+    }
   }
 
   /**
    * Create or update color variables for palette
    * @param colors - Array of color data
    * @param paletteName - Name of the palette
-   * @returns Map of color indices to variables
+   * @param options - Scopes and code syntax templates
+   * @returns Map of color step labels to variables
    */
   async createPaletteVariables(
     colors: ColorData[],
-    paletteName: string
+    paletteName: string,
+    options?: VariableOptions
   ): Promise<Map<string, Variable>> {
     if (!this.collection) {
       throw new Error('Variable collection not initialized');
@@ -116,11 +375,14 @@ class VariableManager {
     for (const color of colors) {
       if (color.isBlack || color.isWhite) continue;
 
-      const variable = await this._createOrUpdateVariable(color, paletteName, existingVariables);
+      const variable = await this._createOrUpdateVariable(
+        color,
+        paletteName,
+        existingVariables,
+        options
+      );
       if (variable) {
-        const indexMatch = color.name.match(/(\d+)$/);
-        const variableIndex = indexMatch ? indexMatch[1] : color.name;
-        variableMap.set(variableIndex, variable);
+        variableMap.set(color.step, variable);
       }
     }
 
@@ -128,7 +390,7 @@ class VariableManager {
     this._removeUnusedVariables(existingVariables, newColorIndices);
 
     // Handle neutral colors (black/white)
-    const neutralVariables = await this._handleNeutralColors(colors, variables);
+    const neutralVariables = await this._handleNeutralColors(colors, variables, options);
 
     // Add neutral variables to map
     neutralVariables.forEach((variable, key) => {
@@ -138,6 +400,64 @@ class VariableManager {
     return variableMap;
   }
 
+  /**
+   * Create or update semantic alias variables in their own collection. Each
+   * token points to the palette variable of its step in every mode and is
+   * tagged with the palette it belongs to. Aliases the plugin created for
+   * this palette whose roles are no longer mapped are removed; roles without
+   * a step keep their current alias. An empty mapping leaves the collection
+   * untouched.
+   * @param tokens - Semantic roles and the steps they alias
+   * @param collectionName - Name of the semantic collection
+   * @param variableMap - Palette variables from createPaletteVariables
+   * @param paletteId - Palette the tokens refer to
+   * @returns Map of roles to alias variables
+   */
+  async createSemanticVariables(
+    tokens: SemanticToken[],
+    collectionName: string,
+    variableMap: Map<string, Variable>,
+    paletteId: string
+  ): Promise<Map<string, Variable>> {
+    const aliasMap = new Map<string, Variable>();
+    if (tokens.length === 0) return aliasMap;
+
+    const collections = await figma.variables.getLocalVariableCollectionsAsync();
+    const collection = collections.find(c => c.name === collectionName) ||
+      figma.variables.createVariableCollection(collectionName);
+
+    const variables = (await figma.variables.getLocalVariablesAsync('COLOR'))
+      .filter(v => v.variableCollectionId === collection.id);
+    const mappedNames = new Set(tokens.map(token => joinGroupPath(token.role)));
+
+    variables
+      .filter(v =>
+        v.getPluginData(PLUGIN_DATA_KEYS.GENERATED) &&
+        v.getPluginData(PLUGIN_DATA_KEYS.PALETTE_ID) === paletteId &&
+        !mappedNames.has(v.name)
+      )
+      .forEach(v => v.remove());
+
+    for (const token of tokens) {
+      const target = token.step === null ? undefined : variableMap.get(token.step);
+      const name = joinGroupPath(token.role);
+      if (!target || !name) continue;
+
+      const variable = variables.find(v => v.name === name) ||
+        figma.variables.createVariable(name, collection, 'COLOR');
+
+      variable.setPluginData(PLUGIN_DATA_KEYS.GENERATED, 'true');
+      variable.setPluginData(PLUGIN_DATA_KEYS.PALETTE_ID, paletteId);
+      variable.description = target.name;
+      const alias = figma.variables.createVariableAlias(target);
+      collection.modes.forEach(mode => variable.setValueForMode(mode.modeId, alias));
+
+      aliasMap.set(token.role, variable);
+    }
+
+    return aliasMap;
+  }
+
   /**
    * Get existing variables for a specific palette
    * @private
@@ -147,20 +467,20 @@ class VariableManager {
     paletteName: string
   ): Map<string, Variable> {
     const existingMap = new Map<string, Variable>();
+    const palettePath = this._getVariablePath(paletteName);
 
     variables
-      .filter(v => v.name.startsWith(`${paletteName}/`))
+      .filter(v => this._isInCollection(v))
       .forEach(variable => {
-        const parts = variable.name.split('/');
-        const index = parts[parts.length - 1];
-        existingMap.set(index, variable);
+        const index = getDirectChildName(variable.name, palettePath);
+        if (index) existingMap.set(index, variable);
       });
 
     return existingMap;
   }
 
   /**
-   * Extract color indices from color data
+   * Extract color step labels from color data
    * @private
    */
   private _extractColorIndices(colors: ColorData[]): Set<string> {
@@ -168,10 +488,7 @@ class VariableManager {
 
     colors.forEach(color => {
       if (color.isBlack || color.isWhite) return;
-
-      const indexMatch = color.name.match(/(\d+)$/);
-      const index = indexMatch ? indexMatch[1] : color.name;
-      indices.add(index);
+      indices.add(color.step);
     });
 
     return indices;
@@ -185,27 +502,20 @@ class VariableManager {
   private async _createOrUpdateVariable(
     color: ColorData,
     paletteName: string,
-    existingVariables: Map<string, Variable>
+    existingVariables: Map<string, Variable>,
+    options?: VariableOptions
   ): Promise<Variable | null> {
     if (!this.collection) return null;
 
-    const indexMatch = color.name.match(/(\d+)$/);
-    const variableIndex = indexMatch ? indexMatch[1] : color.name;
-    const variableName = `${paletteName}/${variableIndex}`;
+    const variableIndex = color.step;
+    const variableName = this._getVariablePath(paletteName, variableIndex);
 
     let variable = existingVariables.get(variableIndex);
 
-    const colorValue = {
-      r: color.rgb.r,
-      g: color.rgb.g,
-      b: color.rgb.b,
-      a: 1
-    };
-
     if (variable) {
       // Update existing variable
       variable.description = `${paletteName} ${variableIndex}`;
-      variable.setValueForMode(this.defaultMode, colorValue);
+      this._setColorValues(variable, color);
     } else {
       // Create new variable
       variable = figma.variables.createVariable(
@@ -214,12 +524,73 @@ class VariableManager {
         'COLOR'
       );
       variable.description = `${paletteName} ${variableIndex}`;
-      variable.setValueForMode(this.defaultMode, colorValue);
+      this._setColorValues(variable, color);
+    }
+
+    if (options) {
+      this._applyVariableOptions(variable, options, paletteName, variableIndex);
     }
 
     return variable;
   }
 
+  /**
+   * Apply scopes and code syntax to variable. Scopes changed in Figma since the
+   * last import are kept unless overwriteScopes is set.
+   * @private
+   */
+  private _applyVariableOptions(
+    variable: Variable,
+    options: VariableOptions,
+    paletteName: string,
+    step: string
+  ): void {
+    const scopes = VARIABLE_SCOPES[options.scopes] || VARIABLE_SCOPES.all;
+    const appliedScopes = variable.getPluginData(PLUGIN_DATA_KEYS.SCOPES) ||
+      JSON.stringify(VARIABLE_SCOPES.all);
+    const isEditedInFigma = JSON.stringify([...variable.scopes].sort()) !==
+      JSON.stringify([...JSON.parse(appliedScopes)].sort());
+
+    if (!isEditedInFigma || options.overwriteScopes) {
+      variable.scopes = scopes;
+      variable.setPluginData(PLUGIN_DATA_KEYS.SCOPES, JSON.stringify(scopes));
+    }
+
+    (Object.keys(options.codeSyntax) as CodeSyntaxPlatform[]).forEach(platform => {
+      const template = options.codeSyntax[platform]?.trim();
+      if (!template) return;
+
+      variable.setVariableCodeSyntax(
+        platform,
+        template
+          .replace(/\{palette\}/g, this._toCodeName(paletteName, platform, false))
+          .replace(/\{step\}/g, this._toCodeName(step, platform, true))
+      );
+    });
+  }
+
+  /**
+   * Convert name to platform casing: kebab-case for web, snake_case for
+   * Android and camelCase for iOS
+   * @private
+   */
+  private _toCodeName(
+    text: string,
+    platform: CodeSyntaxPlatform,
+    capitalize: boolean
+  ): string {
+    const words = text.split(/[^A-Za-z0-9]+/).filter(Boolean);
+
+    if (platform === 'WEB') return words.join('-').toLowerCase();
+    if (platform === 'ANDROID') return words.join('_').toLowerCase();
+
+    return words
+      .map((word, index) => index === 0 && !capitalize
+        ? word.toLowerCase()
+        : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join('');
+  }
+
   /**
    * Remove variables that are no longer in the palette
    * @private
@@ -242,7 +613,8 @@ class VariableManager {
    */
   private async _handleNeutralColors(
     colors: ColorData[],
-    allVariables: Variable[]
+    allVariables: Variable[],
+    options?: VariableOptions
   ): Promise<Map<string, Variable>> {
     const neutralMap = new Map<string, Variable>();
 
@@ -252,15 +624,19 @@ class VariableManager {
     if (!hasNeutralColors) return neutralMap;
 
     // Check for existing neutral variables
-    const existingBlack = allVariables.find(v => v.name === `${COLLECTION_NAMES.NEUTRAL}/Black`);
-    const existingWhite = allVariables.find(v => v.name === `${COLLECTION_NAMES.NEUTRAL}/White`);
+    const findNeutral = (key: string) => allVariables.find(v =>
+      this._isInCollection(v) &&
+      v.name === this._getVariablePath(COLLECTION_NAMES.NEUTRAL, key)
+    );
+    const existingBlack = findNeutral('Black');
+    const existingWhite = findNeutral('White');
 
     for (const color of colors) {
       if (!color.isBlack && !color.isWhite) continue;
 
       const isBlack = color.isBlack;
       const key = isBlack ? 'Black' : 'White';
-      const variableName = `${COLLECTION_NAMES.NEUTRAL}/${key}`;
+      const variableName = this._getVariablePath(COLLECTION_NAMES.NEUTRAL, key);
 
       // Use existing or create new
       let variable = isBlack ? existingBlack : existingWhite;
@@ -274,12 +650,11 @@ class VariableManager {
         variable.description = key;
       }
 
-      variable.setValueForMode(this.defaultMode, {
-        r: color.rgb.r,
-        g: color.rgb.g,
-        b: color.rgb.b,
-        a: 1
-      });
+      this._setColorValues(variable, color);
+
+      if (options) {
+        this._applyVariableOptions(variable, options, COLLECTION_NAMES.NEUTRAL, key);
+      }
 
       neutralMap.set(key, variable);
     }
@@ -288,6 +663,99 @@ class VariableManager {
   }
 }
 
+// ============================================================================
+// STYLE MANAGER
+// Handles local paint style creation and management
+// ============================================================================
+
+class StyleManager {
+  /**
+   * Create or update paint styles for palette
+   * @param colors - Array of color data
+   * @param paletteName - Name of the palette
+   * @param groupPrefix - Group path the styles are created under
+   * @returns Map of color step labels to styles
+   */
+  async createPaletteStyles(
+    colors: ColorData[],
+    paletteName: string,
+    groupPrefix: string = ''
+  ): Promise<Map<string, PaintStyle>> {
+    const styles = await figma.getLocalPaintStylesAsync();
+    const palettePath = joinGroupPath(groupPrefix, paletteName);
+    const existingStyles = this._getExistingStyles(styles, palettePath);
+    const styleMap = new Map<string, PaintStyle>();
+
+    for (const color of colors) {
+      if (color.isBlack || color.isWhite) continue;
+
+      const style = existingStyles.get(color.step) || figma.createPaintStyle();
+      this._updateStyle(
+        style,
+        joinGroupPath(palettePath, color.step),
+        `${paletteName} ${color.step}`,
+        color
+      );
+      styleMap.set(color.step, style);
+    }
+
+    // Clean up removed styles
+    existingStyles.forEach((style, step) => {
+      if (!styleMap.has(step)) {
+        style.remove();
+      }
+    });
+
+    // Handle neutral colors (black/white)
+    const neutralPath = joinGroupPath(groupPrefix, COLLECTION_NAMES.NEUTRAL);
+    const existingNeutrals = this._getExistingStyles(styles, neutralPath);
+
+    for (const color of colors) {
+      if (!color.isBlack && !color.isWhite) continue;
+
+      const key = color.isBlack ? 'Black' : 'White';
+      const style = existingNeutrals.get(key) || figma.createPaintStyle();
+      this._updateStyle(style, joinGroupPath(neutralPath, key), key, color);
+      styleMap.set(key, style);
+    }
+
+    return styleMap;
+  }
+
+  /**
+   * Get existing styles directly inside a group, keyed by step label
+   * @private
+   */
+  private _getExistingStyles(
+    styles: PaintStyle[],
+    groupPath: string
+  ): Map<string, PaintStyle> {
+    const existingMap = new Map<string, PaintStyle>();
+
+    styles.forEach(style => {
+      const step = getDirectChildName(style.name, groupPath);
+      if (step) existingMap.set(step, style);
+    });
+
+    return existingMap;
+  }
+
+  /**
+   * Set style name, description and solid paint
+   * @private
+   */
+  private _updateStyle(
+    style: PaintStyle,
+    name: string,
+    description: string,
+    color: ColorData
+  ): void {
+    style.name = name;
+    style.description = description;
+    style.paints = [{ type: 'SOLID', color: color.rgb }];
+  }
+}
+
 // ============================================================================
 // FRAME BUILDER
 // Handles visual frame creation in Figma
@@ -311,33 +779,213 @@ class FrameBuilder {
   }
 
   /**
-   * Create main palette frame with all color items
-   * @param colors - Array of color data
-   * @param paletteName - Name of the palette
+   * Create main palette frame with all color items. A frame generated earlier
+   * for the same palette id on the current page is updated in place instead:
+   * only the color items the plugin created are rebuilt, and the frame keeps
+   * its position, name, layout and any nodes added by hand.
+   * @param palette - Palette id, name, colors and UI settings stored with the frame
    * @param isRgbFormat - Whether to display RGB format
    * @param variableMap - Optional map of variables to bind
+   * @param styleMap - Optional map of paint styles to apply when no variables are bound
+   * @param previousFrame - Optional frame a new frame is placed to the right of
    */
   async createPaletteFrame(
-    colors: ColorData[],
-    paletteName: string,
+    palette: PaletteImport,
     isRgbFormat: boolean,
-    variableMap?: Map<string, Variable>
+    variableMap?: Map<string, Variable>,
+    styleMap?: Map<string, PaintStyle>,
+    previousFrame?: FrameNode
   ): Promise<FrameNode> {
     await this.loadFont();
 
-    const mainFrame = this._createMainFrame(paletteName, colors.length);
-    this._positionFrame(mainFrame);
+    const { paletteId, paletteName, colors, settings } = palette;
+    const existingFrame = this._findPaletteFrame(paletteId);
+    const mainFrame = existingFrame || this._createMainFrame(paletteName, colors.length);
+
+    // New color items take the place of the previous ones
+    let insertIndex = 0;
+    if (existingFrame) {
+      const generated = existingFrame.children.filter(child =>
+        child.getPluginData(PLUGIN_DATA_KEYS.GENERATED)
+      );
+      insertIndex = generated.length > 0
+        ? existingFrame.children.indexOf(generated[0])
+        : existingFrame.children.length;
+      generated.forEach(child => child.remove());
+    } else {
+      this._positionFrame(mainFrame, previousFrame);
+    }
+
+    for (const [index, color] of colors.entries()) {
+      const colorFrame = await this._createColorItem(
+        color,
+        isRgbFormat,
+        variableMap,
+        styleMap
+      );
+      colorFrame.setPluginData(PLUGIN_DATA_KEYS.GENERATED, 'true');
+      mainFrame.insertChild(insertIndex + index, colorFrame);
+    }
+
+    if (existingFrame) {
+      this._fitPaletteFrame(existingFrame);
+    }
+
+    mainFrame.setPluginData(PLUGIN_DATA_KEYS.PALETTE_ID, paletteId);
+    mainFrame.setPluginData(PLUGIN_DATA_KEYS.PALETTE, paletteName);
+    mainFrame.setPluginData(PLUGIN_DATA_KEYS.SETTINGS, JSON.stringify(settings || {}));
+
+    if (!existingFrame) {
+      figma.currentPage.appendChild(mainFrame);
+    }
+
+    return mainFrame;
+  }
+
+  /**
+   * Find generated palette frame containing a node
+   * @param node - Palette frame or any node inside it
+   */
+  getPaletteFrame(node: BaseNode): FrameNode | null {
+    let current: BaseNode | null = node;
+
+    while (current && current.type !== 'PAGE') {
+      if (current.type === 'FRAME' && current.getPluginData(PLUGIN_DATA_KEYS.PALETTE_ID)) {
+        return current;
+      }
+      current = current.parent;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find palette frame generated earlier on the current page
+   * @private
+   */
+  private _findPaletteFrame(paletteId: string): FrameNode | null {
+    const frames = figma.currentPage.findAllWithCriteria({
+      types: ['FRAME'],
+      pluginData: { keys: [PLUGIN_DATA_KEYS.PALETTE_ID] }
+    });
+
+    return frames.find(frame =>
+      frame.getPluginData(PLUGIN_DATA_KEYS.PALETTE_ID) === paletteId
+    ) || null;
+  }
+
+  /**
+   * Fit fixed-height palette frame to its children after color items changed,
+   * using the frame's own spacing and padding. Hug-contents frames resize
+   * themselves.
+   * @private
+   */
+  private _fitPaletteFrame(frame: FrameNode): void {
+    if (frame.layoutMode !== 'VERTICAL' || frame.primaryAxisSizingMode === 'AUTO') return;
+
+    const children = frame.children.filter(child =>
+      !('layoutPositioning' in child) || child.layoutPositioning !== 'ABSOLUTE'
+    );
+    const height = children.reduce((sum, child) => sum + child.height, 0) +
+      Math.max(children.length - 1, 0) * frame.itemSpacing +
+      frame.paddingTop + frame.paddingBottom;
+
+    frame.resize(frame.width, height);
+  }
+
+  /**
+   * Create contrast matrix frame. Rows are text colors, columns are backgrounds.
+   * @param matrix - Matrix colors, cells and title from UI
+   */
+  async createContrastMatrixFrame(matrix: ContrastMatrixMessage): Promise<FrameNode> {
+    await this.loadFont();
+
+    const { colors, cells, paletteName, title } = matrix;
+
+    const mainFrame = this._createAutoLayoutFrame(
+      `${paletteName} Contrast`,
+      'VERTICAL',
+      MATRIX_CONFIG.TITLE_SPACING
+    );
+    mainFrame.appendChild(this._createText(title, { r: 0, g: 0, b: 0 }, FONT_CONFIG.labelSize));
+
+    const gridFrame = this._createAutoLayoutFrame('Matrix', 'VERTICAL', MATRIX_CONFIG.CELL_SPACING);
 
+    // Header row with background colors
+    const headerRow = this._createAutoLayoutFrame('Header', 'HORIZONTAL', MATRIX_CONFIG.CELL_SPACING);
+    headerRow.appendChild(this._createMatrixCell('', null, { r: 0, g: 0, b: 0 }));
     for (const color of colors) {
-      const colorFrame = this._createColorItem(color, isRgbFormat, variableMap);
-      mainFrame.appendChild(colorFrame);
+      headerRow.appendChild(this._createMatrixCell(color.name, color.rgb, color.textColor));
     }
+    gridFrame.appendChild(headerRow);
+
+    // One row per text color
+    cells.forEach((row, rowIndex) => {
+      const text = colors[rowIndex];
+      const rowFrame = this._createAutoLayoutFrame(text.name, 'HORIZONTAL', MATRIX_CONFIG.CELL_SPACING);
+      rowFrame.appendChild(this._createMatrixCell(text.name, text.rgb, text.textColor));
+
+      row.forEach((cell, columnIndex) => {
+        const cellFrame = this._createMatrixCell(cell.label, colors[columnIndex].rgb, text.rgb);
+        cellFrame.name = `${text.name} on ${colors[columnIndex].name}`;
+        if (!cell.passes) {
+          cellFrame.opacity = MATRIX_CONFIG.FAIL_OPACITY;
+        }
+        rowFrame.appendChild(cellFrame);
+      });
+
+      gridFrame.appendChild(rowFrame);
+    });
+
+    mainFrame.appendChild(gridFrame);
 
+    this._positionFrame(mainFrame);
     figma.currentPage.appendChild(mainFrame);
 
     return mainFrame;
   }
 
+  /**
+   * Create hug-contents auto layout frame without fills
+   * @private
+   */
+  private _createAutoLayoutFrame(
+    name: string,
+    layoutMode: 'HORIZONTAL' | 'VERTICAL',
+    itemSpacing: number
+  ): FrameNode {
+    const frame = figma.createFrame();
+    frame.name = name;
+    frame.layoutMode = layoutMode;
+    frame.itemSpacing = itemSpacing;
+    frame.primaryAxisSizingMode = 'AUTO';
+    frame.counterAxisSizingMode = 'AUTO';
+    frame.fills = [];
+
+    return frame;
+  }
+
+  /**
+   * Create single matrix cell with centered label
+   * @private
+   */
+  private _createMatrixCell(label: string, fill: RGB | null, textColor: RGB): FrameNode {
+    const cell = figma.createFrame();
+    cell.name = label;
+    cell.layoutMode = 'HORIZONTAL';
+    cell.primaryAxisAlignItems = 'CENTER';
+    cell.counterAxisAlignItems = 'CENTER';
+    cell.resize(MATRIX_CONFIG.CELL_WIDTH, MATRIX_CONFIG.CELL_HEIGHT);
+    cell.cornerRadius = MATRIX_CONFIG.CORNER_RADIUS;
+    cell.fills = fill ? [{ type: 'SOLID', color: fill }] : [];
+
+    if (label) {
+      cell.appendChild(this._createText(label, textColor, FONT_CONFIG.labelSize));
+    }
+
+    return cell;
+  }
+
   /**
    * Create main container frame
    * @private
@@ -363,10 +1011,16 @@ class FrameBuilder {
   }
 
   /**
-   * Position frame in viewport
+   * Position frame in viewport, or next to the previous frame of a batch
    * @private
    */
-  private _positionFrame(frame: FrameNode): void {
+  private _positionFrame(frame: FrameNode, previousFrame?: FrameNode): void {
+    if (previousFrame) {
+      frame.x = previousFrame.x + previousFrame.width + FRAME_CONFIG.PALETTE_SPACING;
+      frame.y = previousFrame.y;
+      return;
+    }
+
     const center = figma.viewport.center;
     frame.x = center.x - frame.width / 2 + FRAME_CONFIG.OFFSET_X;
     frame.y = center.y - frame.height / 2 + FRAME_CONFIG.OFFSET_Y;
@@ -376,11 +1030,12 @@ class FrameBuilder {
    * Create individual color item frame
    * @private
    */
-  private _createColorItem(
+  private async _createColorItem(
     color: ColorData,
     isRgbFormat: boolean,
-    variableMap?: Map<string, Variable>
-  ): FrameNode {
+    variableMap?: Map<string, Variable>,
+    styleMap?: Map<string, PaintStyle>
+  ): Promise<FrameNode> {
     const colorFrame = figma.createFrame();
 
     // Set frame name based on color type
@@ -399,13 +1054,22 @@ class FrameBuilder {
     colorFrame.paddingBottom = FRAME_CONFIG.VERTICAL_PADDING;
     colorFrame.cornerRadius = FRAME_CONFIG.CORNER_RADIUS;
 
-    // Bind to variable if available, otherwise use static color
+    // Bind to variable or style if available, otherwise use static color
     if (variableMap) {
       this._bindColorToVariable(colorFrame, color, variableMap);
+    } else if (styleMap) {
+      await this._applyColorStyle(colorFrame, color, styleMap);
     } else {
       colorFrame.fills = [{ type: 'SOLID', color: color.rgb }];
     }
 
+    // Outline locked anchor colors
+    if (color.isAnchor) {
+      colorFrame.strokes = [{ type: 'SOLID', color: color.textColor }];
+      colorFrame.strokeWeight = FRAME_CONFIG.ANCHOR_STROKE_WEIGHT;
+      colorFrame.strokeAlign = 'INSIDE';
+    }
+
     // Add text elements
     const nameText = this._createText(color.name, color.textColor);
     const valueText = this._createText(
@@ -414,6 +1078,17 @@ class FrameBuilder {
     );
 
     colorFrame.appendChild(nameText);
+
+    if (color.contrastLabel) {
+      const contrastText = this._createText(
+        color.contrastLabel,
+        color.textColor,
+        FONT_CONFIG.labelSize
+      );
+      contrastText.name = 'Contrast';
+      colorFrame.appendChild(contrastText);
+    }
+
     colorFrame.appendChild(valueText);
 
     return colorFrame;
@@ -436,9 +1111,7 @@ class FrameBuilder {
     } else if (color.isWhite) {
       variable = variableMap.get('White');
     } else {
-      const indexMatch = color.name.match(/(\d+)$/);
-      const variableIndex = indexMatch ? indexMatch[1] : color.name;
-      variable = variableMap.get(variableIndex);
+      variable = variableMap.get(color.step);
     }
 
     if (variable) {
@@ -456,6 +1129,25 @@ class FrameBuilder {
     }
   }
 
+  /**
+   * Apply paint style to frame fills
+   * @private
+   */
+  private async _applyColorStyle(
+    frame: FrameNode,
+    color: ColorData,
+    styleMap: Map<string, PaintStyle>
+  ): Promise<void> {
+    const style = styleMap.get(this._getFrameName(color));
+
+    if (style) {
+      await frame.setFillStyleIdAsync(style.id);
+    } else {
+      // Fallback to static color if style not found
+      frame.fills = [{ type: 'SOLID', color: color.rgb }];
+    }
+  }
+
   /**
    * Get appropriate frame name for color
    * @private
@@ -464,9 +1156,7 @@ class FrameBuilder {
     if (color.isBlack) return 'Black';
     if (color.isWhite) return 'White';
 
-    // Extract index from name (e.g., "Deep Blue 10" -> "10")
-    const indexMatch = color.name.match(/(\d+)$/);
-    return indexMatch ? indexMatch[1] : color.name;
+    return color.step;
   }
 
   /**
@@ -481,13 +1171,17 @@ class FrameBuilder {
    * Create text node with specified content and color
    * @private
    */
-  private _createText(content: string, color: RGB): TextNode {
+  private _createText(
+    content: string,
+    color: RGB,
+    fontSize: number = FONT_CONFIG.size
+  ): TextNode {
     const text = figma.createText();
     text.fontName = {
       family: FONT_CONFIG.family,
       style: FONT_CONFIG.style
     };
-    text.fontSize = FONT_CONFIG.size;
+    text.fontSize = fontSize;
     text.fills = [{ type: 'SOLID', color }];
     text.characters = content;
 
@@ -495,6 +1189,95 @@ class FrameBuilder {
   }
 }
 
+// ============================================================================
+// STORAGE MANAGER
+// Persists user data in client storage and presets shared in the document
+// ============================================================================
+
+class StorageManager {
+  /**
+   * Get presets saved by the user
+   */
+  async getUserPresets(): Promise<UserPreset[]> {
+    try {
+      const presets = await figma.clientStorage.getAsync(CLIENT_STORAGE_KEYS.USER_PRESETS);
+      return Array.isArray(presets) ? presets.filter(preset => this._isUserPreset(preset)) : [];
+    } catch (error) {
+      console.error('Error reading presets:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Check shape of a stored preset. Settings are validated by the UI.
+   * @param preset - Stored value
+   */
+  private _isUserPreset(preset: unknown): preset is UserPreset {
+    if (!preset || typeof preset !== 'object') return false;
+
+    const { id, name, settings } = preset as Record<string, unknown>;
+    return (
+      typeof id === 'string' &&
+      typeof name === 'string' &&
+      name.trim() !== '' &&
+      !!settings &&
+      typeof settings === 'object'
+    );
+  }
+
+  /**
+   * Replace presets saved by the user
+   * @param presets - Presets in display order
+   */
+  async setUserPresets(presets: UserPreset[]): Promise<void> {
+    await figma.clientStorage.setAsync(CLIENT_STORAGE_KEYS.USER_PRESETS, presets);
+  }
+
+  /**
+   * Get UI state saved at the end of the last session. Migrated by the UI.
+   */
+  async getSession(): Promise<Record<string, unknown> | null> {
+    try {
+      const session = await figma.clientStorage.getAsync(CLIENT_STORAGE_KEYS.SESSION);
+      return session && typeof session === 'object' ? session : null;
+    } catch (error) {
+      console.error('Error reading session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save UI state for the next session
+   * @param session - Session with schema version
+   */
+  async setSession(session: Record<string, unknown>): Promise<void> {
+    await figma.clientStorage.setAsync(CLIENT_STORAGE_KEYS.SESSION, session);
+  }
+
+  /**
+   * Get preset library shared in the document. Validated by the UI.
+   * @returns Library JSON, empty when the document has none
+   */
+  getFilePresets(): string {
+    return figma.root.getSharedPluginData(
+      SHARED_PLUGIN_DATA.NAMESPACE,
+      SHARED_PLUGIN_DATA.PRESETS
+    );
+  }
+
+  /**
+   * Replace preset library shared in the document
+   * @param data - Library JSON
+   */
+  setFilePresets(data: string): void {
+    figma.root.setSharedPluginData(
+      SHARED_PLUGIN_DATA.NAMESPACE,
+      SHARED_PLUGIN_DATA.PRESETS,
+      data
+    );
+  }
+}
+
 // ============================================================================
 // MESSAGE HANDLER
 // Central message processing and coordination
@@ -502,11 +1285,16 @@ class FrameBuilder {
 
 class MessageHandler {
   private variableManager: VariableManager;
+  private styleManager: StyleManager;
   private frameBuilder: FrameBuilder;
+  private storageManager: StorageManager;
+  private selectedPaletteId: string | null = null;
 
   constructor() {
     this.variableManager = new VariableManager();
+    this.styleManager = new StyleManager();
     this.frameBuilder = new FrameBuilder();
+    this.storageManager = new StorageManager();
   }
 
   /**
@@ -514,26 +1302,103 @@ class MessageHandler {
    * @param msg - Message from UI
    */
   async handleMessage(msg: PluginMessage): Promise<void> {
-    if (msg.type !== 'create-palette') return;
+    switch (msg.type) {
+      case 'create-palette':
+        await this._handleCreatePalette(msg);
+        break;
+
+      case 'create-contrast-matrix':
+        await this._handleCreateContrastMatrix(msg);
+        break;
+
+      case 'save-user-presets':
+        await this._handleSaveUserPresets(msg);
+        break;
+
+      case 'save-file-presets':
+        this._handleSaveFilePresets(msg);
+        break;
+
+      case 'save-session':
+        await this._handleSaveSession(msg);
+        break;
+    }
+  }
 
+  /**
+   * Create palette variables and frames
+   * @private
+   */
+  private async _handleCreatePalette(msg: PaletteMessage): Promise<void> {
     try {
-      const { colors, paletteName, isRgbFormat, withVariables } = msg;
-
-      let variableMap: Map<string, Variable> | undefined;
+      const {
+        palettes,
+        isRgbFormat,
+        withVariables,
+        withStyles,
+        withDarkMode,
+        variableTarget,
+        variableOptions,
+        semanticTokens,
+        semanticPaletteId,
+        semanticCollectionName
+      } = msg;
 
-      // Create variables if requested
       if (withVariables) {
-        await this.variableManager.initialize();
-        variableMap = await this.variableManager.createPaletteVariables(colors, paletteName);
+        await this.variableManager.initialize(variableTarget, withDarkMode);
       }
 
-      // Create visual frames (with variable bindings if available)
-      await this.frameBuilder.createPaletteFrame(
-        colors,
-        paletteName,
-        isRgbFormat,
-        variableMap
-      );
+      // Palettes of a batch share one collection and are laid out side by side
+      let previousFrame: FrameNode | undefined;
+
+      for (const [index, palette] of palettes.entries()) {
+        const { colors, paletteName } = palette;
+        let variableMap: Map<string, Variable> | undefined;
+        let styleMap: Map<string, PaintStyle> | undefined;
+
+        // Create variables if requested
+        if (withVariables) {
+          variableMap = await this.variableManager.createPaletteVariables(
+            colors,
+            paletteName,
+            variableOptions
+          );
+
+          // Semantic tokens refer to steps of one palette, the first by default
+          const isSemanticPalette = semanticPaletteId
+            ? palette.paletteId === semanticPaletteId
+            : index === 0;
+
+          if (isSemanticPalette) {
+            await this.variableManager.createSemanticVariables(
+              semanticTokens || [],
+              semanticCollectionName || COLLECTION_NAMES.SEMANTIC,
+              variableMap,
+              palette.paletteId
+            );
+          }
+        } else if (withStyles) {
+          // Create paint styles if requested
+          styleMap = await this.styleManager.createPaletteStyles(
+            colors,
+            paletteName,
+            variableTarget?.groupPrefix
+          );
+        }
+
+        // Create visual frames (with variable or style bindings if available)
+        previousFrame = await this.frameBuilder.createPaletteFrame(
+          palette,
+          isRgbFormat,
+          variableMap,
+          styleMap,
+          previousFrame
+        );
+      }
+
+      if (withVariables) {
+        await this.sendCollections();
+      }
 
       // Send success response
       this._sendResponse(true);
@@ -544,13 +1409,171 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Send local variable collections to UI. An empty list is sent when they
+   * cannot be read, so the UI offers a new collection.
+   */
+  async sendCollections(): Promise<void> {
+    let collections: CollectionInfo[] = [];
+
+    try {
+      collections = await this.variableManager.getCollections();
+    } catch (error) {
+      console.error('Error reading collections:', error);
+    }
+
+    figma.ui.postMessage({ type: 'collections', collections });
+  }
+
+  /**
+   * Send presets saved by the user to UI
+   */
+  async sendUserPresets(): Promise<void> {
+    figma.ui.postMessage({
+      type: 'user-presets',
+      presets: await this.storageManager.getUserPresets()
+    });
+  }
+
+  /**
+   * Persist presets edited in UI. When saving fails, the stored presets are
+   * sent back before the error so the UI drops the unsaved change.
+   * @private
+   */
+  private async _handleSaveUserPresets(msg: SaveUserPresetsMessage): Promise<void> {
+    try {
+      await this.storageManager.setUserPresets(msg.presets);
+      this._sendResponse(true, undefined, 'user-presets-saved');
+
+    } catch (error) {
+      console.error('Error saving presets:', error);
+      await this.sendUserPresets();
+      this._sendResponse(
+        false,
+        error instanceof Error ? error.message : 'Unknown error',
+        'user-presets-saved'
+      );
+    }
+  }
+
+  /**
+   * Send preset library shared in the document to UI
+   */
+  sendFilePresets(): void {
+    figma.ui.postMessage({
+      type: 'file-presets',
+      data: this.storageManager.getFilePresets()
+    });
+  }
+
+  /**
+   * Store presets edited in UI in the document for everyone with access.
+   * When storing fails, the stored library is sent back before the error so
+   * the UI drops the unsaved change.
+   * @private
+   */
+  private _handleSaveFilePresets(msg: SaveFilePresetsMessage): void {
+    try {
+      this.storageManager.setFilePresets(msg.data);
+      this._sendResponse(true, undefined, 'file-presets-saved');
+
+    } catch (error) {
+      console.error('Error saving file presets:', error);
+      this.sendFilePresets();
+      this._sendResponse(
+        false,
+        error instanceof Error ? error.message : 'Unknown error',
+        'file-presets-saved'
+      );
+    }
+  }
+
+  /**
+   * Send UI state saved in the last session to UI. Always posts, with null
+   * when no session could be read, so the UI starts saving and palette
+   * frames selected at launch are loaded afterwards.
+   */
+  async sendSession(): Promise<void> {
+    figma.ui.postMessage({
+      type: 'session',
+      session: await this.storageManager.getSession()
+    });
+  }
+
+  /**
+   * Save UI state for the next session
+   * @private
+   */
+  private async _handleSaveSession(msg: SaveSessionMessage): Promise<void> {
+    try {
+      await this.storageManager.setSession(msg.session);
+    } catch (error) {
+      console.error('Error saving session:', error);
+    }
+  }
+
+  /**
+   * Send settings stored on the selected palette frame to UI so it can be
+   * edited again. Sent once per frame until the selection leaves it.
+   */
+  sendSelectedPalette(): void {
+    const selection = figma.currentPage.selection;
+    const frame = selection.length === 1
+      ? this.frameBuilder.getPaletteFrame(selection[0])
+      : null;
+
+    if (!frame) {
+      this.selectedPaletteId = null;
+      return;
+    }
+    if (frame.id === this.selectedPaletteId) return;
+
+    this.selectedPaletteId = frame.id;
+
+    try {
+      const settings = JSON.parse(frame.getPluginData(PLUGIN_DATA_KEYS.SETTINGS) || '{}');
+
+      figma.ui.postMessage({
+        type: 'palette-settings',
+        paletteId: frame.getPluginData(PLUGIN_DATA_KEYS.PALETTE_ID),
+        paletteName: frame.getPluginData(PLUGIN_DATA_KEYS.PALETTE),
+        settings
+      });
+    } catch (error) {
+      console.error('Error reading palette settings:', error);
+    }
+  }
+
+  /**
+   * Create contrast matrix frame
+   * @private
+   */
+  private async _handleCreateContrastMatrix(msg: ContrastMatrixMessage): Promise<void> {
+    try {
+      await this.frameBuilder.createContrastMatrixFrame(msg);
+      this._sendResponse(true, undefined, 'contrast-matrix-created');
+
+    } catch (error) {
+      console.error('Error creating contrast matrix:', error);
+      this._sendResponse(
+        false,
+        error instanceof Error ? error.message : 'Unknown error',
+        'contrast-matrix-created'
+      );
+    }
+  }
+
   /**
    * Send response back to UI
    * @private
    */
-  private _sendResponse(success: boolean, errorMessage?: string): void {
+  private _sendResponse(
+    success: boolean,
+    errorMessage?: string,
+    type: string = 'palette-created'
+  ): void {
     figma.ui.postMessage({
-      type: 'palette-created',
+      type,
       success,
       error: errorMessage
     });
@@ -580,6 +1603,21 @@ class ShadePerfectionPlugin {
     figma.ui.onmessage = (msg: PluginMessage) => {
       this.messageHandler.handleMessage(msg);
     };
+
+    // Let UI offer existing collections for variable import
+    this.messageHandler.sendCollections();
+
+    // Load presets saved in earlier sessions and shared in this file
+    this.messageHandler.sendUserPresets();
+    this.messageHandler.sendFilePresets();
+
+    // Restore last session, then reload settings of a selected palette frame
+    figma.on('selectionchange', () => {
+      this.messageHandler.sendSelectedPalette();
+    });
+    this.messageHandler.sendSession().then(() => {
+      this.messageHandler.sendSelectedPalette();
+    });
   }
 }
 
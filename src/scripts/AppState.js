@@ -1,11 +1,90 @@
-import { CONFIG } from './config.js';
+import {
+  CONFIG,
+  CODE_SYNTAX_TEMPLATES,
+  COLOR_SPACES,
+  CONTRAST_MODES,
+  DARK_MODES,
+  HUE_SHIFT_CURVES,
+  IMPORT_MODES,
+  NAMING_SCHEMES,
+  VARIABLE_SCOPES,
+} from './config.js';
 import { ColorMath } from './ColorMath.js';
+import { ColorGenerator } from './ColorGenerator.js';
+import { SemanticTokens } from './SemanticTokens.js';
+import { PresetLibrary } from './PresetLibrary.js';
+import { SettingsSchema } from './SettingsSchema.js';
 
 // ============================================================================
 // APPLICATION STATE MANAGER
 // Central state management for the application
 // ============================================================================
 
+// Upgrades a saved session from the keyed version to the next one. Add an
+// entry whenever the session layout changes and bump CONFIG.SESSION_VERSION.
+const SESSION_MIGRATIONS = {
+  // The semantic mapping text became a list of entries {role, step, ratio}
+  1: (session) => ({
+    ...session,
+    semanticMapping:
+      typeof session.semanticMapping === "string"
+        ? SemanticTokens.parse(session.semanticMapping)
+        : [],
+  }),
+};
+
+// Changes that edit the palette and are recorded in the undo history
+const HISTORY_CHANGE_TYPES = [
+  "color",
+  "settings",
+  "feature",
+  "saturation-control",
+  "preset",
+  "color-space",
+  "name",
+  "restore",
+];
+
+// History labels for palette settings, see getPaletteSettings()
+const HISTORY_LABELS = {
+  name: "Name",
+  hue: "Color",
+  saturation: "Color",
+  value: "Color",
+  saturationControl: "Saturation",
+  colorCount: "Count",
+  contrast: "Contrast",
+  colorSpace: "Color space",
+  targetType: "Targets",
+  targetValues: "Targets",
+  namingScheme: "Step names",
+  customSteps: "Step names",
+  zeroPadSteps: "Step names",
+  selectedStep: "Selected step",
+  anchors: "Anchors",
+  hueShift: "Hue shift",
+  hueShiftCurve: "Hue shift",
+  darkMode: "Dark mode",
+  features: "Toggles",
+};
+
+// Palette settings a color system can share across all its palettes
+const WORKSPACE_SHARED_SETTINGS = [
+  "colorCount",
+  "contrast",
+  "namingScheme",
+  "customSteps",
+  "zeroPadSteps",
+];
+
+/**
+ * Create a unique id for palettes and workspace entries
+ * @returns {string} Id such as "m2x1k9q0-4fz8a1"
+ */
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
 export class AppState {
   constructor() {
     this.hue = 220;
@@ -16,6 +95,36 @@ export class AppState {
     this.colorCount = 10;
     this.contrast = 1.0;
     this.colorName = "";
+    this.paletteId = createId();
+    this.colorSpace = COLOR_SPACES.HSV;
+    this.targetType = null;
+    this.targetValues = [];
+    this.namingScheme = NAMING_SCHEMES.DEFAULT;
+    this.customSteps = [];
+    this.zeroPadSteps = false;
+    this.selectedStep = null;
+    this.anchors = [];
+    this.hueShift = 0;
+    this.hueShiftCurve = HUE_SHIFT_CURVES.LINEAR;
+    this.darkMode = DARK_MODES.OFF;
+    this.importMode = IMPORT_MODES.VARIABLES;
+
+    this.collections = [];
+    this.collectionName = CONFIG.DEFAULT_COLLECTION_NAME;
+    this.groupPrefix = "";
+    this.variableScopes = VARIABLE_SCOPES.ALL;
+    this.overwriteScopes = false;
+    this.codeSyntax = { ...CODE_SYNTAX_TEMPLATES };
+    this.semanticMapping = [];
+    this.semanticCollectionName = CONFIG.DEFAULT_SEMANTIC_COLLECTION_NAME;
+
+    this.contrastMode = CONTRAST_MODES.WCAG;
+    this.contrastBackground = null;
+    this.contrastThresholds = {
+      [CONTRAST_MODES.WCAG]: CONFIG.WCAG_AA_RATIO,
+      [CONTRAST_MODES.APCA]: CONFIG.APCA_CONTENT_LC,
+    };
+    this.matrixError = null;
 
     this.features = {
       importWithVariables: true,
@@ -25,13 +134,30 @@ export class AppState {
       rgbFormat: false,
     };
 
+    this.userPresets = [];
+    this.userPresetsError = null;
+    this.filePresets = [];
+    this.filePresetsError = null;
+    this.isFileLibraryUnreadable = false;
+
+    this.workspace = [];
+    this.activeWorkspaceId = null;
+    this.shareWorkspaceSettings = true;
+    this.semanticTarget = null;
+
     this.generatedColors = [];
     this.curvePoints = [];
 
     this.isDragging = false;
     this.activeTab = "result";
 
+    this.history = [];
+    this.historyIndex = -1;
+    this.historyTimeout = null;
+    this.isApplyingHistory = false;
+
     this.observers = new Set();
+    this.resetHistory();
   }
 
   /**
@@ -57,6 +183,308 @@ export class AppState {
    */
   _notify(changeType) {
     this.observers.forEach((callback) => callback(changeType, this));
+    this._trackHistory(changeType);
+    this._syncWorkspacePalette(changeType);
+  }
+
+  /**
+   * Schedule a history entry for palette edits. Quick successive edits such
+   * as typing are coalesced; drags are recorded once they end.
+   * @param {string} changeType - Type of change that occurred
+   * @private
+   */
+  _trackHistory(changeType) {
+    if (this.isApplyingHistory || !HISTORY_CHANGE_TYPES.includes(changeType)) {
+      return;
+    }
+
+    clearTimeout(this.historyTimeout);
+    if (this.isDragging) return;
+
+    this.historyTimeout = setTimeout(
+      () => this.commitHistory(),
+      CONFIG.HISTORY_COALESCE_DELAY
+    );
+  }
+
+  /**
+   * Mark start or end of a drag; the end records one history entry
+   * @param {boolean} isDragging - Whether a drag is in progress
+   */
+  setDragging(isDragging) {
+    this.isDragging = isDragging;
+    if (!isDragging) this.commitHistory();
+  }
+
+  /**
+   * Record current palette settings in the undo history unless unchanged.
+   * Entries after the current one are discarded.
+   */
+  commitHistory() {
+    clearTimeout(this.historyTimeout);
+
+    const settings = this.getPaletteSettings();
+    const current = this.history[this.historyIndex];
+    if (JSON.stringify(current.settings) === JSON.stringify(settings)) return;
+
+    this.history = [
+      ...this.history.slice(0, this.historyIndex + 1),
+      {
+        settings,
+        label: this._describeHistoryChange(current.settings, settings),
+      },
+    ].slice(-CONFIG.HISTORY_LIMIT);
+    this.historyIndex = this.history.length - 1;
+
+    this._notify("history");
+  }
+
+  /**
+   * Start a new history with the current palette as its only entry
+   */
+  resetHistory() {
+    clearTimeout(this.historyTimeout);
+
+    this.history = [{ settings: this.getPaletteSettings(), label: "Start" }];
+    this.historyIndex = 0;
+
+    this._notify("history");
+  }
+
+  /**
+   * Restore palette of a history entry
+   * @param {number} index - History entry index
+   */
+  goToHistory(index) {
+    this.commitHistory();
+    if (index < 0 || index >= this.history.length) return;
+    if (index === this.historyIndex) return;
+
+    this.historyIndex = index;
+    this.isApplyingHistory = true;
+    this.applyPaletteSettings(this.history[index].settings);
+    this.isApplyingHistory = false;
+
+    this._notify("history");
+  }
+
+  /**
+   * Step back in the undo history
+   */
+  undo() {
+    this.commitHistory();
+    this.goToHistory(this.historyIndex - 1);
+  }
+
+  /**
+   * Step forward in the undo history
+   */
+  redo() {
+    this.commitHistory();
+    this.goToHistory(this.historyIndex + 1);
+  }
+
+  /**
+   * Name the settings that differ between two history entries
+   * @param {Object} previous - Settings of the previous entry
+   * @param {Object} next - Settings of the new entry
+   * @returns {string} Label such as "Contrast" or "Color, Count"
+   * @private
+   */
+  _describeHistoryChange(previous, next) {
+    const labels = [
+      ...new Set(
+        Object.keys(next)
+          .filter(
+            (key) => JSON.stringify(previous[key]) !== JSON.stringify(next[key])
+          )
+          .map((key) => HISTORY_LABELS[key] || key)
+      ),
+    ];
+
+    return labels.length > 2
+      ? `${labels.slice(0, 2).join(", ")} +${labels.length - 2}`
+      : labels.join(", ");
+  }
+
+  /**
+   * Keep the workspace palette being edited in sync with palette edits
+   * @param {string} changeType - Type of change that occurred
+   * @private
+   */
+  _syncWorkspacePalette(changeType) {
+    if (!this.activeWorkspaceId || !HISTORY_CHANGE_TYPES.includes(changeType)) {
+      return;
+    }
+
+    this.workspace = this.workspace.map((palette) =>
+      palette.id === this.activeWorkspaceId
+        ? { ...palette, settings: this.getPaletteSettings() }
+        : palette
+    );
+    this._notify("workspace");
+  }
+
+  /**
+   * Add current palette to the workspace and continue editing it there
+   */
+  addWorkspacePalette() {
+    const isUsed = this.workspace.some(
+      (palette) => palette.id === this.paletteId
+    );
+    const id = isUsed ? createId() : this.paletteId;
+
+    this.paletteId = id;
+    this.workspace = [
+      ...this.workspace,
+      { id, settings: this.getPaletteSettings() },
+    ];
+    this.activeWorkspaceId = id;
+    this._notify("workspace");
+  }
+
+  /**
+   * Load a workspace palette into the editor, or stop editing it when it is
+   * already loaded. Loading starts a new undo history so undo never carries
+   * settings over from another palette.
+   * @param {string} id - Workspace palette id
+   */
+  selectWorkspacePalette(id) {
+    const palette = this.workspace.find((entry) => entry.id === id);
+    if (!palette) return;
+
+    if (id === this.activeWorkspaceId) {
+      this._leaveWorkspacePalette();
+      return;
+    }
+
+    this.activeWorkspaceId = id;
+    this.paletteId = id;
+    this.applyPaletteSettings(this._withSharedSettings(palette.settings));
+    this.resetHistory();
+    this._notify("workspace");
+  }
+
+  /**
+   * Stop editing the workspace palette, so settings loaded from elsewhere
+   * (a frame, a preset) start a new palette instead of overwriting it
+   * @private
+   */
+  _leaveWorkspacePalette() {
+    if (!this.activeWorkspaceId) return;
+
+    this.activeWorkspaceId = null;
+    this._notify("workspace");
+  }
+
+  /**
+   * Move workspace palette up or down the list
+   * @param {number} index - Current position
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  moveWorkspacePalette(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.workspace.length) return;
+
+    const workspace = [...this.workspace];
+    [workspace[index], workspace[target]] = [
+      workspace[target],
+      workspace[index],
+    ];
+    this.workspace = workspace;
+    this._notify("workspace");
+  }
+
+  /**
+   * Remove palette from the workspace
+   * @param {string} id - Workspace palette id
+   */
+  removeWorkspacePalette(id) {
+    this.workspace = this.workspace.filter((palette) => palette.id !== id);
+    if (id === this.activeWorkspaceId) this.activeWorkspaceId = null;
+    this._notify("workspace");
+  }
+
+  /**
+   * Share count, contrast and step names of the edited palette with all
+   * workspace palettes
+   * @param {boolean} isShared - Whether settings are shared
+   */
+  setWorkspaceSharing(isShared) {
+    this.shareWorkspaceSettings = isShared;
+    this._notify("workspace");
+  }
+
+  /**
+   * Get workspace palettes with shared settings applied
+   * @returns {Array<Object>} Palettes {id, settings} in import order
+   */
+  getWorkspacePalettes() {
+    return this.workspace.map((palette) => ({
+      id: palette.id,
+      settings: this._withSharedSettings(palette.settings),
+    }));
+  }
+
+  /**
+   * Check workspace palettes can be imported together. Palettes with the same
+   * name would overwrite each other's variables, styles and frames.
+   * @returns {string|null} Problem to show, or null
+   */
+  getWorkspaceError() {
+    const names = this.workspace.map(
+      (palette) => palette.settings.name.trim() || "Color"
+    );
+    const duplicate = names.find(
+      (name, index) => names.indexOf(name) !== index
+    );
+
+    return duplicate
+      ? `Palettes need unique names, "${duplicate}" is used twice`
+      : null;
+  }
+
+  /**
+   * Create a detached state with generated colors for other palette settings,
+   * e.g. to import workspace palettes. Import and contrast modes and the
+   * semantic mapping are copied.
+   * @param {Object} settings - Settings from getPaletteSettings()
+   * @param {string} [paletteId] - Id of the palette, a new one by default
+   * @returns {AppState} State without observers or undo history
+   */
+  createPaletteState(settings, paletteId = createId()) {
+    const state = new AppState();
+    state.paletteId = paletteId;
+    state.importMode = this.importMode;
+    state.contrastMode = this.contrastMode;
+    state.isApplyingHistory = true;
+    state.applyPaletteSettings(settings);
+
+    const { colors, curvePoints } = ColorGenerator.generatePalette(
+      state.getGenerationParams()
+    );
+    state.updateGeneratedColors(colors, curvePoints);
+
+    return state;
+  }
+
+  /**
+   * Replace shared settings with those of the current palette when sharing
+   * is on
+   * @param {Object} settings - Palette settings
+   * @returns {Object} Settings to use for the palette
+   * @private
+   */
+  _withSharedSettings(settings) {
+    if (!this.shareWorkspaceSettings) return settings;
+
+    const current = this.getPaletteSettings();
+    const shared = {};
+    WORKSPACE_SHARED_SETTINGS.forEach((key) => {
+      shared[key] = current[key];
+    });
+
+    return { ...settings, ...shared };
   }
 
   /**
@@ -81,6 +509,216 @@ export class AppState {
     this._notify("settings");
   }
 
+  /**
+   * Set local variable collections reported by the plugin
+   * @param {Array<Object>} collections - Collections {id, name, modes}
+   */
+  setCollections(collections) {
+    this.collections = collections;
+    this._notify("collections");
+  }
+
+  /**
+   * Update import settings that do not affect the generated palette
+   * @param {Object} settings - Settings to update
+   */
+  updateImportSettings(settings) {
+    Object.assign(this, settings);
+    this._notify("import-settings");
+  }
+
+  /**
+   * Set pass threshold of the current contrast mode
+   * @param {number} threshold - Minimum ratio (WCAG) or absolute Lc (APCA)
+   */
+  setContrastThreshold(threshold) {
+    this.contrastThresholds = {
+      ...this.contrastThresholds,
+      [this.contrastMode]: threshold,
+    };
+    this._notify("contrast-threshold");
+  }
+
+  /**
+   * Set reason the contrast matrix could not be added to the canvas
+   * @param {string|null} error - Error to show, or null to clear it
+   */
+  setMatrixError(error) {
+    this.matrixError = error;
+    this._notify("matrix");
+  }
+
+  /**
+   * Set presets saved by the user
+   * @param {Array<Object>} presets - Presets {id, name, settings} in display order
+   * @param {string|null} [error] - Reason the presets could not be saved
+   */
+  setUserPresets(presets, error = null) {
+    this.userPresets = presets;
+    this.userPresetsError = error;
+    this._notify("user-presets");
+  }
+
+  /**
+   * Load presets saved by the user, dropping ones that fail validation
+   * @param {Array} presets - Presets from client storage
+   */
+  loadUserPresets(presets) {
+    this.setUserPresets(
+      PresetLibrary.filterValid(Array.isArray(presets) ? presets : [])
+    );
+  }
+
+  /**
+   * Set presets shared in the current document. Presets set without an
+   * error replace an unreadable stored library.
+   * @param {Array<Object>} presets - Presets {id, name, settings} in display order
+   * @param {string|null} [error] - Reason the presets could not be loaded or imported
+   */
+  setFilePresets(presets, error = null) {
+    this.filePresets = presets;
+    this.filePresetsError = error;
+    if (!error) this.isFileLibraryUnreadable = false;
+    this._notify("file-presets");
+  }
+
+  /**
+   * Load preset library stored in the document. A library that fails
+   * validation leaves the list empty and keeps the error for display; it is
+   * marked unreadable so saving a preset does not overwrite it unnoticed.
+   * @param {string} data - Library JSON, empty when the document has none
+   */
+  loadFilePresets(data) {
+    if (!data) {
+      this.setFilePresets([]);
+      return;
+    }
+
+    try {
+      this.setFilePresets(PresetLibrary.parse(data));
+    } catch (error) {
+      this.isFileLibraryUnreadable = true;
+      this.setFilePresets(
+        [],
+        `File presets could not be loaded. ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get existing collection matching the chosen collection name
+   * @returns {Object|null} Collection {id, name, modes} or null for a new one
+   */
+  getSelectedCollection() {
+    const name = this.collectionName.trim() || CONFIG.DEFAULT_COLLECTION_NAME;
+    return (
+      this.collections.find((collection) => collection.name === name) || null
+    );
+  }
+
+  /**
+   * Get collection and group path variables are imported into
+   * @returns {Object} Target {collectionId, collectionName, groupPrefix}
+   */
+  getVariableTarget() {
+    const collection = this.getSelectedCollection();
+
+    return {
+      collectionId: collection ? collection.id : null,
+      collectionName:
+        this.collectionName.trim() || CONFIG.DEFAULT_COLLECTION_NAME,
+      groupPrefix: this.groupPrefix,
+    };
+  }
+
+  /**
+   * Get scope and code syntax options for imported variables
+   * @returns {Object} Options {scopes, overwriteScopes, codeSyntax}
+   */
+  getVariableOptions() {
+    return {
+      scopes: this.variableScopes,
+      overwriteScopes: this.overwriteScopes,
+      codeSyntax: { ...this.codeSyntax },
+    };
+  }
+
+  /**
+   * Set semantic token mapping
+   * @param {Array<Object>} mapping - Entries {role, step, ratio}, see SemanticTokens.resolve()
+   */
+  setSemanticMapping(mapping) {
+    this.semanticMapping = mapping;
+    this._notify("semantic");
+  }
+
+  /**
+   * Resolve semantic token mapping against the palette it is bound to
+   * @param {AppState} [target] - Result of getSemanticTarget(), if known
+   * @returns {Array<Object>} Tokens {role, rule, color, error}
+   */
+  getSemanticTokens(target = this.getSemanticTarget()) {
+    return SemanticTokens.resolve(
+      this.semanticMapping,
+      target.getDisplayColors()
+    );
+  }
+
+  /**
+   * Get palette semantic tokens are bound to: the edited palette, or with
+   * workspace palettes the one being edited, else the first in the list.
+   * The detached state of the first palette is kept until its settings
+   * change, so edits to other values do not regenerate it.
+   * @returns {AppState} This state or a detached state of a workspace palette
+   */
+  getSemanticTarget() {
+    if (this.workspace.length === 0 || this.activeWorkspaceId) return this;
+
+    const [first] = this.getWorkspacePalettes();
+    const key = JSON.stringify([
+      first.id,
+      first.settings,
+      this.importMode,
+      this.contrastMode,
+    ]);
+
+    if (!this.semanticTarget || this.semanticTarget.key !== key) {
+      this.semanticTarget = {
+        key,
+        state: this.createPaletteState(first.settings, first.id),
+      };
+    }
+
+    return this.semanticTarget.state;
+  }
+
+  /**
+   * Set palette name
+   * @param {string} name - Palette name
+   */
+  setColorName(name) {
+    this.colorName = name;
+    this._notify("name");
+  }
+
+  /**
+   * Set working color space used for palette generation
+   * @param {string} colorSpace - One of COLOR_SPACES
+   */
+  setColorSpace(colorSpace) {
+    this.colorSpace = colorSpace;
+    this._notify("color-space");
+  }
+
+  /**
+   * Set active result panel tab
+   * @param {string} tab - Tab name ('result', 'presets' or 'contrast')
+   */
+  setActiveTab(tab) {
+    this.activeTab = tab;
+    this._notify("tab");
+  }
+
   /**
    * Toggle a feature on/off
    * @param {string} featureName - Name of feature to toggle
@@ -115,6 +753,278 @@ export class AppState {
     this._notify("colors");
   }
 
+  /**
+   * Get parameters for ColorGenerator.generatePalette from current state
+   * @returns {Object} Generation parameters
+   */
+  getGenerationParams() {
+    return {
+      hue: this.hue,
+      saturation: this.saturation,
+      value: this.value,
+      colorCount: this.colorCount,
+      contrast: this.contrast,
+      smartSpacing: this.features.smartSpacing,
+      includeBlackWhite: this.features.includeBlackWhite,
+      saturationControl: this.saturationControl,
+      colorSpace: this.colorSpace,
+      targets: this.targetType
+        ? { type: this.targetType, values: this.targetValues }
+        : null,
+      hueShift: { amount: this.hueShift, curve: this.hueShiftCurve },
+      anchors: this.anchors,
+      selectedStep: this.selectedStep,
+      naming: this.getNamingOptions(),
+      darkMode: this.usesVariables() ? this.darkMode : DARK_MODES.OFF,
+    };
+  }
+
+  /**
+   * Get settings that reproduce the current palette, stored with imported frames
+   * @returns {Object} Serializable palette settings
+   */
+  getPaletteSettings() {
+    return {
+      name: this.colorName,
+      hue: this.hue,
+      saturation: this.saturation,
+      value: this.value,
+      saturationControl: this.saturationControl,
+      colorCount: this.colorCount,
+      contrast: this.contrast,
+      colorSpace: this.colorSpace,
+      targetType: this.targetType,
+      targetValues: [...this.targetValues],
+      namingScheme: this.namingScheme,
+      customSteps: [...this.customSteps],
+      zeroPadSteps: this.zeroPadSteps,
+      selectedStep: this.selectedStep,
+      anchors: this.anchors.map((anchor) => ({ ...anchor })),
+      hueShift: this.hueShift,
+      hueShiftCurve: this.hueShiftCurve,
+      darkMode: this.darkMode,
+      features: { ...this.features },
+    };
+  }
+
+  /**
+   * Restore palette settings, e.g. those stored on a selected palette frame.
+   * Unknown keys and invalid values are ignored, missing keys keep their
+   * current value.
+   * @param {Object} settings - Settings from getPaletteSettings()
+   */
+  applyPaletteSettings(settings) {
+    const { name, features, ...values } = JSON.parse(JSON.stringify(settings));
+    const current = this.getPaletteSettings();
+
+    Object.keys(values)
+      .filter(
+        (key) =>
+          key in current && !SettingsSchema.checkSetting(key, values[key])
+      )
+      .forEach((key) => {
+        this[key] = values[key];
+      });
+
+    if (typeof name === "string") {
+      this.colorName = name;
+    }
+
+    if (features) {
+      Object.keys(this.features)
+        .filter((key) => typeof features[key] === "boolean")
+        .forEach((key) => {
+          this.features[key] = features[key];
+        });
+    }
+
+    this._notify("restore");
+  }
+
+  /**
+   * Load settings of a palette frame selected on the canvas. The frame's
+   * palette id is adopted, so the next import updates that frame.
+   * @param {string} paletteId - Palette id stored on the frame
+   * @param {Object} settings - Settings stored on the frame
+   */
+  applyPaletteFrame(paletteId, settings) {
+    this._leaveWorkspacePalette();
+    this.paletteId = paletteId;
+    this.applyPaletteSettings(settings);
+  }
+
+  /**
+   * Start a new palette from a saved preset. The new palette gets its own id,
+   * so importing it does not replace a frame of the previous palette.
+   * @param {Object} preset - Preset {id, name, settings}
+   */
+  applyCustomPreset(preset) {
+    this._leaveWorkspacePalette();
+    this.paletteId = createId();
+    this.applyPaletteSettings({ name: preset.name, ...preset.settings });
+  }
+
+  /**
+   * Get full UI state saved between plugin launches
+   * @returns {Object} Serializable session with schema version
+   */
+  getSessionState() {
+    return {
+      version: CONFIG.SESSION_VERSION,
+      paletteId: this.paletteId,
+      settings: this.getPaletteSettings(),
+      importMode: this.importMode,
+      collectionName: this.collectionName,
+      groupPrefix: this.groupPrefix,
+      variableScopes: this.variableScopes,
+      overwriteScopes: this.overwriteScopes,
+      codeSyntax: { ...this.codeSyntax },
+      semanticMapping: this.semanticMapping,
+      semanticCollectionName: this.semanticCollectionName,
+      contrastMode: this.contrastMode,
+      contrastBackground: this.contrastBackground,
+      contrastThresholds: { ...this.contrastThresholds },
+      workspace: this.workspace,
+      activeWorkspaceId: this.activeWorkspaceId,
+      shareWorkspaceSettings: this.shareWorkspaceSettings,
+      activeTab: this.activeTab,
+    };
+  }
+
+  /**
+   * Restore session saved by this or an older plugin version. Sessions that
+   * cannot be migrated are ignored, values of the wrong type or out of range
+   * keep their current value.
+   * @param {Object} session - Session from getSessionState()
+   * @returns {boolean} True if the session was applied
+   */
+  applySessionState(session) {
+    const migrated = this._migrateSession(session);
+    if (!migrated) return false;
+
+    const { settings, ...values } = JSON.parse(JSON.stringify(migrated));
+    const current = this.getSessionState();
+
+    Object.keys(values)
+      .filter(
+        (key) =>
+          key in current &&
+          key !== "version" &&
+          !SettingsSchema.checkSessionValue(key, values[key])
+      )
+      .forEach((key) => {
+        this[key] = values[key];
+      });
+
+    if (
+      !this.workspace.some((palette) => palette.id === this.activeWorkspaceId)
+    ) {
+      this.activeWorkspaceId = null;
+    }
+
+    this.applyPaletteSettings(
+      settings && typeof settings === "object" ? settings : {}
+    );
+    return true;
+  }
+
+  /**
+   * Reset palette, import and contrast settings to their defaults. Presets,
+   * workspace palettes and the active tab are kept.
+   */
+  resetToDefaults() {
+    this.applySessionState({
+      ...new AppState().getSessionState(),
+      workspace: this.workspace,
+      activeWorkspaceId: this.activeWorkspaceId,
+      shareWorkspaceSettings: this.shareWorkspaceSettings,
+      activeTab: this.activeTab,
+    });
+  }
+
+  /**
+   * Upgrade session to the current version
+   * @param {Object} session - Saved session
+   * @returns {Object|null} Migrated session, or null if it is unusable
+   * @private
+   */
+  _migrateSession(session) {
+    if (!session || typeof session !== "object") return null;
+
+    let migrated = session;
+    let version = migrated.version;
+    if (!Number.isInteger(version) || version > CONFIG.SESSION_VERSION) {
+      return null;
+    }
+
+    while (version < CONFIG.SESSION_VERSION) {
+      const migrate = SESSION_MIGRATIONS[version];
+      if (!migrate) return null;
+
+      migrated = migrate(migrated);
+      version += 1;
+    }
+
+    return { ...migrated, version };
+  }
+
+  /**
+   * Check whether import binds palette frames to variables
+   * @returns {boolean} True when importing with variables
+   */
+  usesVariables() {
+    return (
+      this.features.importWithVariables &&
+      this.importMode === IMPORT_MODES.VARIABLES
+    );
+  }
+
+  /**
+   * Check whether import binds palette frames to paint styles
+   * @returns {boolean} True when importing with paint styles
+   */
+  usesStyles() {
+    return (
+      this.features.importWithVariables &&
+      this.importMode === IMPORT_MODES.STYLES
+    );
+  }
+
+  /**
+   * Get step naming options for ColorGenerator
+   * @returns {Object} Naming options {scheme, customSteps, zeroPad}
+   */
+  getNamingOptions() {
+    return {
+      scheme: this.namingScheme,
+      customSteps: this.customSteps,
+      zeroPad: this.zeroPadSteps,
+    };
+  }
+
+  /**
+   * Get palette name used for display, frames and exports
+   * @returns {string} Palette name, "Color" when empty
+   */
+  getPaletteName() {
+    return this.colorName.trim() || "Color";
+  }
+
+  /**
+   * Get named colors in display order (light to dark unless reversed),
+   * the same order used for Figma import
+   * @returns {Array} Colors with display names and step labels
+   */
+  getDisplayColors() {
+    const namedColors = ColorGenerator.generateColorNames(
+      this.generatedColors,
+      this.getPaletteName(),
+      this.getNamingOptions()
+    );
+
+    return this.features.reverseOrder ? namedColors : namedColors.reverse();
+  }
+
   /**
    * Get current color in HEX format
    * @returns {string} HEX color string
@@ -137,6 +1047,9 @@ export class AppState {
    * @param {Object} presetConfig - Preset configuration object
    */
   applyPreset(presetConfig) {
+    this._leaveWorkspacePalette();
+    this.paletteId = createId();
+
     const hsv = ColorMath.hexToHsv(presetConfig.color);
     this.updateColor(hsv.h, hsv.s, hsv.v);
     this.contrast = presetConfig.contrast;
@@ -145,6 +1058,8 @@ export class AppState {
       presetConfig.saturation !== undefined
         ? presetConfig.saturation
         : CONFIG.SATURATION_DEFAULT;
+    this.hueShift = presetConfig.hueShift || 0;
+    this.hueShiftCurve = presetConfig.hueShiftCurve || HUE_SHIFT_CURVES.LINEAR;
 
     if (this.features.smartSpacing) {
       this.setFeature("smartSpacing", false);
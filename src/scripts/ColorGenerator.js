@@ -1,4 +1,13 @@
-import { CONFIG } from "./config.js";
+import {
+  CONFIG,
+  COLOR_SPACES,
+  TARGET_TYPES,
+  DARK_MODES,
+  HUE_SHIFT_CURVES,
+  NAMING_SCHEMES,
+  STEP_SCALES,
+  STEP_SCALE_SIZES,
+} from "./config.js";
 import { ColorMath } from "./ColorMath.js";
 import { SuperellipseMath } from "./SuperellipseMath.js";
 
@@ -11,6 +20,7 @@ export class ColorGenerator {
   /**
    * Generates color palette distributed along superellipse curve.
    * Colors are calculated based on desaturated curve positions for consistent saturation control.
+   * The curve is fitted in the chroma/lightness plane of the selected working color space.
    *
    * @param {Object} params - Generation parameters
    * @param {number} params.hue - Hue value (0-360)
@@ -21,6 +31,17 @@ export class ColorGenerator {
    * @param {boolean} params.smartSpacing - Whether to use adaptive spacing
    * @param {boolean} params.includeBlackWhite - Whether to add black and white
    * @param {number} params.saturationControl - Global saturation control (0-100)
+   * @param {string} [params.colorSpace] - Working color space (see COLOR_SPACES)
+   * @param {Object} [params.targets] - Solve shade positions for targets instead of colorCount
+   * @param {string} params.targets.type - Target type (see TARGET_TYPES)
+   * @param {Array<number>} params.targets.values - Contrast ratios or relative luminances
+   * @param {Object} [params.hueShift] - Hue rotation along the ramp
+   * @param {number} params.hueShift.amount - Total hue spread in degrees; positive warms lights and cools darks
+   * @param {string} params.hueShift.curve - Easing of the rotation (see HUE_SHIFT_CURVES)
+   * @param {Array<Object>} [params.anchors] - Extra locked colors {hex, step}; ignored in target mode
+   * @param {number|string|null} [params.selectedStep] - Step the selected color is pinned to
+   * @param {Object} [params.naming] - Step naming options used to resolve step labels
+   * @param {string} [params.darkMode] - Dark mode ramp added as darkHex (see DARK_MODES)
    * @returns {Object} Object containing colors array and curve points
    */
   static generatePalette(params) {
@@ -33,10 +54,23 @@ export class ColorGenerator {
       smartSpacing,
       includeBlackWhite,
       saturationControl,
+      colorSpace = COLOR_SPACES.HSV,
+      targets = null,
+      hueShift = null,
+      anchors = [],
+      selectedStep = null,
+      naming = {},
+      darkMode = DARK_MODES.OFF,
     } = params;
 
-    const normalizedX = saturation / 100;
-    const normalizedY = value / 100;
+    const workingPoint = ColorMath.toWorkingSpace(
+      hue,
+      saturation,
+      value,
+      colorSpace
+    );
+    const normalizedX = workingPoint.x;
+    const normalizedY = workingPoint.y;
 
     const n = SuperellipseMath.findExponent(normalizedX, normalizedY);
     const curvePoints = SuperellipseMath.generateCurvePoints(n);
@@ -53,9 +87,16 @@ export class ColorGenerator {
     const pointsToDistribute = count - 1;
 
     const useContrastMode = contrast !== 1.0;
+    const pinnedIndex =
+      selectedStep !== null
+        ? this._getStepIndex(selectedStep, count, naming)
+        : null;
     let pointsBefore, pointsAfter;
 
-    if (smartSpacing && !useContrastMode) {
+    if (pinnedIndex !== null) {
+      pointsBefore = pinnedIndex;
+      pointsAfter = pointsToDistribute - pinnedIndex;
+    } else if (smartSpacing && !useContrastMode) {
       pointsBefore = Math.round(selectedArcLength * pointsToDistribute);
       pointsAfter = pointsToDistribute - pointsBefore;
 
@@ -96,97 +137,107 @@ export class ColorGenerator {
       saturationPercent
     );
 
-    for (let i = 0; i < pointsBefore; i++) {
-      const arcLength = this._calculateArcLength(
-        i,
-        pointsBefore,
-        selectedArcLength,
-        contrast,
-        useContrastMode,
-        true
-      );
-
-      const mainPoint = SuperellipseMath.findPointAtArcLength(
-        arcLength,
-        curvePoints
-      );
-      const mainS = mainPoint.x * 100;
-      const mainV = mainPoint.y * 100;
-      const mainHex = ColorMath.hsvToHex(hue, mainS, mainV);
-
-      const desaturatedPoint = SuperellipseMath.findPointAtArcLength(
-        arcLength,
-        desaturatedCurvePoints
-      );
-      const s = desaturatedPoint.x * 100;
-      const v = desaturatedPoint.y * 100;
-      const hex = ColorMath.hsvToHex(hue, s, v);
-
-      colors.push({
-        hex,
-        s,
-        v,
-        arcLength,
-        mainS,
-        mainV,
-        mainHex,
-      });
-    }
+    const curveContext = {
+      hue: workingPoint.hue,
+      colorSpace,
+      curvePoints,
+      desaturatedCurvePoints,
+      selectedArcLength,
+      hueShift,
+      warmHue: ColorMath.toWorkingSpace(
+        CONFIG.HUE_SHIFT_WARM_HUE,
+        100,
+        100,
+        colorSpace
+      ).hue,
+      coolHue: ColorMath.toWorkingSpace(
+        CONFIG.HUE_SHIFT_COOL_HUE,
+        100,
+        100,
+        colorSpace
+      ).hue,
+      saturationScale: saturationPercent / 100,
+      anchorKnots: null,
+    };
 
     const selectedDesaturatedPoint = SuperellipseMath.findPointAtArcLength(
       selectedArcLength,
       desaturatedCurvePoints
     );
-    const selectedS = selectedDesaturatedPoint.x * 100;
-    const selectedV = selectedDesaturatedPoint.y * 100;
+    const selectedShade = this._resolvePoint(
+      selectedDesaturatedPoint,
+      curveContext
+    );
     const selectedMainHex = ColorMath.hsvToHex(hue, saturation, value);
 
-    colors.push({
-      hex: ColorMath.hsvToHex(hue, selectedS, selectedV),
-      s: selectedS,
-      v: selectedV,
+    const selectedColor = {
+      hex: selectedShade.hex,
+      s: selectedShade.s,
+      v: selectedShade.v,
       arcLength: selectedArcLength,
       isSelected: true,
       mainS: saturation,
       mainV: value,
       mainHex: selectedMainHex,
-    });
-
-    for (let i = 0; i < pointsAfter; i++) {
-      const arcLength = this._calculateArcLength(
-        i,
-        pointsAfter,
-        selectedArcLength,
-        contrast,
-        useContrastMode,
-        false
+    };
+
+    const useTargets = targets && targets.values.length > 0;
+    const anchorKnots = useTargets
+      ? []
+      : this._createAnchorKnots(
+          anchors,
+          count,
+          pointsBefore,
+          naming,
+          curveContext
+        );
+
+    if (useTargets) {
+      colors.push(
+        ...this._createTargetColors(targets, selectedColor, curveContext)
       );
-
-      const mainPoint = SuperellipseMath.findPointAtArcLength(
-        arcLength,
-        curvePoints
+    } else if (anchorKnots.length > 1) {
+      curveContext.anchorKnots = anchorKnots;
+      colors.push(
+        ...this._createAnchoredColors(
+          anchorKnots,
+          count,
+          selectedColor,
+          curveContext
+        )
       );
-      const mainS = mainPoint.x * 100;
-      const mainV = mainPoint.y * 100;
-      const mainHex = ColorMath.hsvToHex(hue, mainS, mainV);
+    } else {
+      for (let i = 0; i < pointsBefore; i++) {
+        const arcLength = this._calculateArcLength(
+          i,
+          pointsBefore,
+          selectedArcLength,
+          contrast,
+          useContrastMode,
+          true
+        );
+
+        colors.push(this._createColor(arcLength, curveContext));
+      }
 
-      const desaturatedPoint = SuperellipseMath.findPointAtArcLength(
-        arcLength,
-        desaturatedCurvePoints
-      );
-      const s = desaturatedPoint.x * 100;
-      const v = desaturatedPoint.y * 100;
-      const hex = ColorMath.hsvToHex(hue, s, v);
+      colors.push(selectedColor);
 
-      colors.push({
-        hex,
-        s,
-        v,
-        arcLength,
-        mainS,
-        mainV,
-        mainHex,
-      });
+      for (let i = 0; i < pointsAfter; i++) {
+        const arcLength = this._calculateArcLength(
+          i,
+          pointsAfter,
+          selectedArcLength,
+          contrast,
+          useContrastMode,
+          false
+        );
+
+        colors.push(this._createColor(arcLength, curveContext));
+      }
+    }
+
+    if (darkMode !== DARK_MODES.OFF) {
+      this._assignDarkColors(colors, darkMode, curveContext);
     }
 
     if (includeBlackWhite) {
@@ -199,6 +250,7 @@ export class ColorGenerator {
         mainS: 0,
         mainV: 0,
         mainHex: "#000000",
+        ...(darkMode !== DARK_MODES.OFF && { darkHex: "#FFFFFF" }),
       });
       colors.push({
         hex: "#FFFFFF",
@@ -209,12 +261,404 @@ export class ColorGenerator {
         mainS: 0,
         mainV: 100,
         mainHex: "#FFFFFF",
+        ...(darkMode !== DARK_MODES.OFF && { darkHex: "#000000" }),
       });
     }
 
     return { colors, curvePoints, desaturatedCurvePoints };
   }
 
+  /**
+   * Adds the dark mode value of every shade as darkHex, so step N keeps its
+   * lightness role on a dark background. Mirror takes the shade at the opposite
+   * end of the ramp; match solves the shade whose contrast against black equals
+   * the light shade's contrast against white.
+   *
+   * @param {Array} colors - Main colors sorted from dark to light
+   * @param {string} darkMode - Dark mode ramp (see DARK_MODES)
+   * @param {Object} context - Curve context
+   * @private
+   */
+  static _assignDarkColors(colors, darkMode, context) {
+    const lightHexes = colors.map((color) => color.hex);
+
+    colors.forEach((color, index) => {
+      if (darkMode === DARK_MODES.MIRROR) {
+        color.darkHex = lightHexes[lightHexes.length - 1 - index];
+        return;
+      }
+
+      const ratio = ColorMath.getContrastRatio(color.hex, "#FFFFFF");
+      color.darkHex = this._createColor(
+        this._solveTargetArcLength(TARGET_TYPES.CONTRAST_BLACK, ratio, context),
+        context
+      ).hex;
+    });
+  }
+
+  /**
+   * Resolves extra anchors into knots of a piecewise curve. Each anchor sits at the
+   * arc length where the base curve reaches its lightness, and its knot stores the
+   * offset from the curve there, so the curve can be bent through every anchor.
+   * Anchors whose lightness contradicts their step order, or whose step is taken
+   * or out of range, are dropped.
+   *
+   * @param {Array<Object>} anchors - Extra anchors {hex, step}
+   * @param {number} count - Number of main colors
+   * @param {number} selectedIndex - Position of the selected color from the dark end
+   * @param {Object} naming - Step naming options
+   * @param {Object} context - Curve context
+   * @returns {Array} Knots sorted from dark to light, including the selected color
+   * @private
+   */
+  static _createAnchorKnots(anchors, count, selectedIndex, naming, context) {
+    const selectedKnot = {
+      index: selectedIndex,
+      arcLength: context.selectedArcLength,
+      x: 0,
+      y: 0,
+      hue: 0,
+    };
+    const knots = [selectedKnot];
+
+    anchors.forEach((anchor) => {
+      const index = this._getStepIndex(anchor.step, count, naming);
+      if (index === null || knots.some((knot) => knot.index === index)) return;
+
+      const hsv = ColorMath.hexToHsv(anchor.hex);
+      const point = ColorMath.toWorkingSpace(
+        hsv.h,
+        hsv.s,
+        hsv.v,
+        context.colorSpace
+      );
+      const arcLength = SuperellipseMath.findPointAtY(
+        point.y,
+        context.curvePoints
+      ).normalizedArcLength;
+      const base = SuperellipseMath.findPointAtArcLength(
+        arcLength,
+        context.curvePoints
+      );
+      const baseHue = this._getShiftedHue(arcLength, context);
+
+      knots.push({
+        index,
+        arcLength,
+        x: point.x - base.x,
+        y: point.y - base.y,
+        hue:
+          point.x < CONFIG.ACHROMATIC_THRESHOLD
+            ? 0
+            : ((point.hue - baseHue + 540) % 360) - 180,
+        anchor: { hex: anchor.hex.toUpperCase(), s: hsv.s, v: hsv.v },
+      });
+    });
+
+    knots.sort((a, b) => a.index - b.index);
+
+    const selectedPosition = knots.indexOf(selectedKnot);
+    const darker = [];
+    const lighter = [];
+
+    for (let i = selectedPosition - 1; i >= 0; i--) {
+      const limit = darker.length ? darker[0] : selectedKnot;
+      if (knots[i].arcLength < limit.arcLength) darker.unshift(knots[i]);
+    }
+    for (let i = selectedPosition + 1; i < knots.length; i++) {
+      const limit = lighter.length ? lighter[lighter.length - 1] : selectedKnot;
+      if (knots[i].arcLength > limit.arcLength) lighter.push(knots[i]);
+    }
+
+    return [...darker, selectedKnot, ...lighter];
+  }
+
+  /**
+   * Creates shades along the piecewise curve. Shades between two anchors are
+   * spread evenly by arc length within that segment.
+   *
+   * @param {Array} knots - Anchor knots sorted from dark to light
+   * @param {number} count - Number of main colors
+   * @param {Object} selectedColor - Selected color entry
+   * @param {Object} context - Curve context with anchor knots
+   * @returns {Array} Color entries sorted from dark to light
+   * @private
+   */
+  static _createAnchoredColors(knots, count, selectedColor, context) {
+    const bounds = [
+      { index: -1, arcLength: 0 },
+      ...knots,
+      { index: count, arcLength: 1 },
+    ];
+    const colors = [];
+
+    for (let k = 0; k < bounds.length - 1; k++) {
+      const start = bounds[k];
+      const end = bounds[k + 1];
+
+      if (k > 0) {
+        colors.push(
+          start.anchor
+            ? {
+                ...this._createColor(start.arcLength, context),
+                isAnchor: true,
+                mainS: start.anchor.s,
+                mainV: start.anchor.v,
+                mainHex: start.anchor.hex,
+              }
+            : { ...selectedColor, isAnchor: true }
+        );
+      }
+
+      for (let index = start.index + 1; index < end.index; index++) {
+        const t = (index - start.index) / (end.index - start.index);
+        const arcLength =
+          start.arcLength + t * (end.arcLength - start.arcLength);
+
+        colors.push(this._createColor(arcLength, context));
+      }
+    }
+
+    return colors;
+  }
+
+  /**
+   * Interpolates anchor offsets at an arc length. Position offsets fade out
+   * towards black and white, hue offsets hold the value of the outer anchors.
+   *
+   * @param {number} arcLength - Normalized arc length (0-1)
+   * @param {Array} knots - Anchor knots sorted from dark to light
+   * @returns {Object} Offset {x, y, hue}
+   * @private
+   */
+  static _getAnchorOffset(arcLength, knots) {
+    const first = knots[0];
+    const last = knots[knots.length - 1];
+    const bounds = [
+      { arcLength: 0, x: 0, y: 0, hue: first.hue },
+      ...knots,
+      { arcLength: 1, x: 0, y: 0, hue: last.hue },
+    ];
+
+    for (let i = 1; i < bounds.length; i++) {
+      const start = bounds[i - 1];
+      const end = bounds[i];
+      if (arcLength > end.arcLength && i < bounds.length - 1) continue;
+
+      const span = end.arcLength - start.arcLength;
+      const t =
+        span > 0
+          ? Math.max(0, Math.min(1, (arcLength - start.arcLength) / span))
+          : 0;
+
+      return {
+        x: start.x + t * (end.x - start.x),
+        y: start.y + t * (end.y - start.y),
+        hue: start.hue + t * (end.hue - start.hue),
+      };
+    }
+  }
+
+  /**
+   * Applies anchor offset to a curve point
+   * @param {Object} point - Curve point {x, y}
+   * @param {Object} offset - Anchor offset {x, y}
+   * @param {number} scaleX - Horizontal scale, e.g. desaturated curve compression
+   * @returns {Object} Offset point {x, y}
+   * @private
+   */
+  static _offsetPoint(point, offset, scaleX) {
+    return {
+      x: Math.max(0, Math.min(1, point.x + offset.x * scaleX)),
+      y: Math.max(0, Math.min(1, point.y + offset.y)),
+    };
+  }
+
+  /**
+   * Creates shades at arc length positions solved for target contrast ratios
+   * or luminances. The selected color is kept as an anchor: it either marks the
+   * target shade with the same HEX or is inserted at its own position.
+   *
+   * @param {Object} targets - Target type and values
+   * @param {Object} selectedColor - Selected color entry
+   * @param {Object} context - Working hue, color space and curve points
+   * @returns {Array} Color entries sorted from dark to light
+   * @private
+   */
+  static _createTargetColors(targets, selectedColor, context) {
+    const colors = targets.values.map((target) =>
+      this._createColor(
+        this._solveTargetArcLength(targets.type, target, context),
+        context
+      )
+    );
+
+    const anchorMatch = colors.find((color) => color.hex === selectedColor.hex);
+    if (anchorMatch) {
+      anchorMatch.isSelected = true;
+    } else {
+      colors.push(selectedColor);
+    }
+
+    return colors.sort((a, b) => a.arcLength - b.arcLength);
+  }
+
+  /**
+   * Finds arc length where the shade reaches a target using binary search.
+   * Shade luminance grows monotonically from the dark to the light end of the curve.
+   * Contrast targets are rounded towards the side that still meets the ratio.
+   *
+   * @param {string} type - Target type (see TARGET_TYPES)
+   * @param {number} target - Contrast ratio or relative luminance
+   * @param {Object} context - Working hue, color space and curve points
+   * @returns {number} Normalized arc length (0-1)
+   * @private
+   */
+  static _solveTargetArcLength(type, target, context) {
+    let targetLuminance = target;
+    if (type === TARGET_TYPES.CONTRAST_WHITE) {
+      targetLuminance = ColorMath.getLuminanceForContrast(target, "#FFFFFF");
+    } else if (type === TARGET_TYPES.CONTRAST_BLACK) {
+      targetLuminance = ColorMath.getLuminanceForContrast(target, "#000000");
+    }
+
+    let low = 0;
+    let high = 1;
+
+    for (let i = 0; i < CONFIG.TARGET_SOLVER_ITERATIONS; i++) {
+      const mid = (low + high) / 2;
+      const luminance = ColorMath.getRelativeLuminance(
+        this._createColor(mid, context).hex
+      );
+
+      if (luminance < targetLuminance) low = mid;
+      else high = mid;
+    }
+
+    if (type === TARGET_TYPES.CONTRAST_WHITE) return low;
+    if (type === TARGET_TYPES.CONTRAST_BLACK) return high;
+    return (low + high) / 2;
+  }
+
+  /**
+   * Creates a color entry at an arc length position on both the main
+   * and the desaturated curves
+   *
+   * @param {number} arcLength - Normalized arc length (0-1)
+   * @param {Object} context - Working hue, color space and curve points
+   * @returns {Object} Color entry
+   * @private
+   */
+  static _createColor(arcLength, context) {
+    let hue = this._getShiftedHue(arcLength, context);
+
+    let mainPoint = SuperellipseMath.findPointAtArcLength(
+      arcLength,
+      context.curvePoints
+    );
+    let desaturatedPoint = SuperellipseMath.findPointAtArcLength(
+      arcLength,
+      context.desaturatedCurvePoints
+    );
+
+    if (context.anchorKnots) {
+      const offset = this._getAnchorOffset(arcLength, context.anchorKnots);
+      hue = (hue + offset.hue + 360) % 360;
+      mainPoint = this._offsetPoint(mainPoint, offset, 1);
+      desaturatedPoint = this._offsetPoint(
+        desaturatedPoint,
+        offset,
+        context.saturationScale
+      );
+    }
+
+    const main = this._resolvePoint(mainPoint, context, hue);
+    const shade = this._resolvePoint(desaturatedPoint, context, hue);
+
+    return {
+      hex: shade.hex,
+      s: shade.s,
+      v: shade.v,
+      arcLength,
+      mainS: main.s,
+      mainV: main.v,
+      mainHex: main.hex,
+    };
+  }
+
+  /**
+   * Rotates working hue toward the warm or cool pole as shades move away
+   * from the selected color. Lighter and darker sides rotate in opposite
+   * directions, each by up to half of the total shift at the curve ends.
+   *
+   * @param {number} arcLength - Normalized arc length of the shade (0-1)
+   * @param {Object} context - Curve context with hue shift settings
+   * @returns {number} Working space hue (0-360)
+   * @private
+   */
+  static _getShiftedHue(arcLength, context) {
+    const { hue, hueShift, selectedArcLength } = context;
+    if (!hueShift || !hueShift.amount) return hue;
+
+    const isDarker = arcLength < selectedArcLength;
+    const span = isDarker ? selectedArcLength : 1 - selectedArcLength;
+    if (span <= 0) return hue;
+
+    const distance = Math.abs(arcLength - selectedArcLength) / span;
+    const degrees =
+      (Math.abs(hueShift.amount) / 2) *
+      this._easeHueShift(distance, hueShift.curve, context.curvePoints);
+
+    const towardWarm = hueShift.amount > 0 !== isDarker;
+    const poleHue = towardWarm ? context.warmHue : context.coolHue;
+    const delta = ((poleHue - hue + 540) % 360) - 180;
+    const rotation = Math.sign(delta) * Math.min(degrees, Math.abs(delta));
+
+    return (hue + rotation + 360) % 360;
+  }
+
+  /**
+   * Applies hue shift easing curve
+   * @param {number} t - Distance from selected color to curve end (0-1)
+   * @param {string} curve - Easing type (see HUE_SHIFT_CURVES)
+   * @param {Array} curvePoints - Palette curve, reused for superellipse easing
+   * @returns {number} Eased value (0-1)
+   * @private
+   */
+  static _easeHueShift(t, curve, curvePoints) {
+    switch (curve) {
+      case HUE_SHIFT_CURVES.EASE:
+        return t * t * (3 - 2 * t);
+
+      case HUE_SHIFT_CURVES.SUPERELLIPSE:
+        return SuperellipseMath.findPointAtArcLength(t, curvePoints).y;
+
+      default:
+        return t;
+    }
+  }
+
+  /**
+   * Converts a curve point from the working color space to HEX
+   * and to HSV picker coordinates
+   *
+   * @param {Object} point - Curve point {x, y}
+   * @param {Object} context - Working hue and color space
+   * @param {number} [hue] - Hue override, e.g. after hue shift
+   * @returns {Object} Resolved point {hex, s, v}
+   * @private
+   */
+  static _resolvePoint(point, context, hue = context.hue) {
+    const { colorSpace } = context;
+    const hsv = ColorMath.workingSpaceToHsv(hue, point.x, point.y, colorSpace);
+
+    return {
+      hex: ColorMath.fromWorkingSpace(hue, point.x, point.y, colorSpace),
+      s: hsv.s,
+      v: hsv.v,
+    };
+  }
+
   /**
    * Calculates arc length position with optional contrast-based distribution.
    * Applies power function for non-linear spacing when contrast is enabled.
@@ -282,32 +726,215 @@ export class ColorGenerator {
     }
   }
 
+  /**
+   * Converts a step label to a position from the dark end of the palette.
+   * Numeric labels also match without zero padding ("50" finds "050").
+   *
+   * @param {number|string} step - Step label such as 60
+   * @param {number} count - Number of main colors
+   * @param {Object} naming - Step naming options
+   * @returns {number|null} Position index, or null if the step does not exist
+   * @private
+   */
+  static _getStepIndex(step, count, naming) {
+    const index = this.getStepLabels(count, naming).findIndex((label) =>
+      this._isSameStep(label, step)
+    );
+    return index === -1 ? null : index;
+  }
+
+  /**
+   * Compares a step label with a step given by the user, so "050" matches "50"
+   *
+   * @param {string} label - Step label of the palette
+   * @param {string} step - Step to look for
+   * @returns {boolean} True if both name the same step
+   * @private
+   */
+  static _isSameStep(label, step) {
+    const target = String(step).trim();
+    return (
+      label === target ||
+      (/^\d+$/.test(label) &&
+        /^\d+$/.test(target) &&
+        Number(label) === Number(target))
+    );
+  }
+
+  /**
+   * Gets step labels for a palette size.
+   * Custom lists are given from the light end and must hold one unique label
+   * per shade, otherwise the default 10, 20, … names are used.
+   *
+   * @param {number} count - Number of main colors
+   * @param {Object} [naming] - Step naming options
+   * @param {string} [naming.scheme] - Naming scheme (see NAMING_SCHEMES)
+   * @param {Array<string>} [naming.customSteps] - Custom labels from the light end
+   * @param {boolean} [naming.zeroPad] - Pad numeric labels to equal width
+   * @returns {Array<string>} Step labels from the dark to the light end
+   */
+  static getStepLabels(count, naming = {}) {
+    const {
+      scheme = NAMING_SCHEMES.DEFAULT,
+      customSteps = [],
+      zeroPad = false,
+    } = naming;
+    const defaultMultiplier = 10;
+    let labels = null;
+
+    switch (scheme) {
+      case NAMING_SCHEMES.TAILWIND:
+      case NAMING_SCHEMES.MATERIAL:
+        labels =
+          (STEP_SCALE_SIZES[scheme] && STEP_SCALE_SIZES[scheme][count]) ||
+          this._spreadSteps(STEP_SCALES[scheme], count);
+        break;
+
+      case NAMING_SCHEMES.RADIX:
+        labels = Array.from({ length: count }, (_, index) => count - index);
+        break;
+
+      case NAMING_SCHEMES.CUSTOM:
+        if (!this.validateCustomSteps(customSteps, count)) {
+          labels = [...customSteps].reverse();
+        }
+        break;
+    }
+
+    if (!labels) {
+      labels = Array.from(
+        { length: count },
+        (_, index) => (count - index) * defaultMultiplier
+      );
+    }
+
+    labels = labels.map(String);
+
+    if (zeroPad) {
+      const width = Math.max(...labels.map((label) => label.length));
+      labels = labels.map((label) =>
+        /^\d+$/.test(label) ? label.padStart(width, "0") : label
+      );
+    }
+
+    return labels;
+  }
+
+  /**
+   * Checks that a custom step list holds one unique label per shade
+   *
+   * @param {Array<string>} customSteps - Custom labels from the light end
+   * @param {number} count - Number of main colors
+   * @returns {string|null} Error message, or null if the list is usable
+   */
+  static validateCustomSteps(customSteps, count) {
+    if (customSteps.length !== count) {
+      return `Expected ${count} step names, got ${customSteps.length}`;
+    }
+
+    const duplicate = customSteps.find(
+      (step, index) => customSteps.indexOf(step) !== index
+    );
+    return duplicate === undefined ? null : `Duplicate step name ${duplicate}`;
+  }
+
+  /**
+   * Explains why an anchor is left out of the palette: its step does not
+   * exist, holds the selected color or another anchor, or its color lies on
+   * the wrong side of the selected color or a neighbouring anchor
+   *
+   * @param {Array<Object>} anchors - Extra anchors {hex, step}
+   * @param {Array<Object>} colors - Palette colors named by generateColorNames()
+   * @returns {string|null} Error message, or null if every anchor is used
+   */
+  static validateAnchors(anchors, colors) {
+    const anchoredSteps = [];
+
+    for (const anchor of anchors) {
+      const color = colors.find(
+        (candidate) =>
+          !candidate.isBlack &&
+          !candidate.isWhite &&
+          this._isSameStep(candidate.step, anchor.step)
+      );
+
+      if (!color) return `No step ${anchor.step} in this palette`;
+      if (anchoredSteps.includes(color.step)) {
+        return `Step ${color.step} has more than one anchor`;
+      }
+      if (color.isSelected) {
+        return `Step ${color.step} holds the selected color`;
+      }
+      if (!color.isAnchor) {
+        return `Anchor ${anchor.step} is out of order with the selected color or other anchors`;
+      }
+
+      anchoredSteps.push(color.step);
+    }
+
+    return null;
+  }
+
+  /**
+   * Picks evenly spaced steps from a reference scale. Palettes longer than the
+   * scale get evenly interpolated numbers between its first and last step,
+   * rounded to the coarsest unit that keeps them unique.
+   *
+   * @param {Array<number>} scale - Reference steps from the dark end
+   * @param {number} count - Number of main colors
+   * @returns {Array<number>} Steps from the dark to the light end
+   * @private
+   */
+  static _spreadSteps(scale, count) {
+    if (count === 1) return [scale[Math.floor(scale.length / 2)]];
+
+    if (count <= scale.length) {
+      return Array.from({ length: count }, (_, index) => {
+        const position = (index * (scale.length - 1)) / (count - 1);
+        return scale[Math.round(position)];
+      });
+    }
+
+    const first = scale[0];
+    const last = scale[scale.length - 1];
+    const spacing = Math.abs(last - first) / (count - 1);
+    const unit = [100, 50, 10, 5, 1].find((u) => u <= spacing) || 1;
+
+    return Array.from({ length: count }, (_, index) => {
+      if (index === 0) return first;
+      if (index === count - 1) return last;
+
+      const step = first + ((last - first) * index) / (count - 1);
+      return Math.round(step / unit) * unit;
+    });
+  }
+
   /**
    * Generates display names for colors based on their position in the palette
    * @param {Array} colors - Array of color objects
    * @param {string} baseName - Base name for the palette
-   * @returns {Array} Colors with display names
+   * @param {Object} [naming] - Step naming options (see getStepLabels)
+   * @returns {Array} Colors with display names and step labels
    */
-  static generateColorNames(colors, baseName) {
+  static generateColorNames(colors, baseName, naming) {
     const mainColors = colors.filter((c) => !c.isBlack && !c.isWhite);
-    const totalMainColors = mainColors.length;
-    const nameMultiplier = 10;
+    const stepLabels = this.getStepLabels(mainColors.length, naming);
 
     let colorCounter = 0;
     return colors.map((color) => {
-      let displayName;
+      let displayName, step;
 
       if (color.isBlack) {
-        displayName = "Black";
+        displayName = step = "Black";
       } else if (color.isWhite) {
-        displayName = "White";
+        displayName = step = "White";
       } else {
-        const index = (totalMainColors - colorCounter) * nameMultiplier;
-        displayName = `${baseName} ${index}`;
+        step = stepLabels[colorCounter];
+        displayName = `${baseName} ${step}`;
         colorCounter++;
       }
 
-      return { ...color, displayName };
+      return { ...color, displayName, step };
     });
   }
 }
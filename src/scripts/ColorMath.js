@@ -1,9 +1,9 @@
-import { CONFIG } from './config.js'
+import { CONFIG, COLOR_SPACES, CONTRAST_MODES, APCA_CONSTANTS } from './config.js'
 import { SuperellipseMath } from './SuperellipseMath.js'
 
 // ============================================================================
 // COLOR MATHEMATICS MODULE
-// Handles all color space conversions (HSV, RGB, HEX)
+// Handles all color space conversions (HSV, RGB, HEX, OKLCH, CIELAB)
 // ============================================================================
 export class ColorMath {
   /**
@@ -14,31 +14,8 @@ export class ColorMath {
    * @returns {string} HEX color string (#RRGGBB)
    */
   static hsvToHex(h, s, v) {
-    s /= 100
-    v /= 100
-    const c = v * s
-    const x = c * (1 - Math.abs(((h / 60) % 2) - 1))
-    const m = v - c
-
-    let r, g, b
-    if (h < 60) [r, g, b] = [c, x, 0]
-    else if (h < 120) [r, g, b] = [x, c, 0]
-    else if (h < 180) [r, g, b] = [0, c, x]
-    else if (h < 240) [r, g, b] = [0, x, c]
-    else if (h < 300) [r, g, b] = [x, 0, c]
-    else [r, g, b] = [c, 0, x]
-
-    return (
-      '#' +
-      [r, g, b]
-        .map((val) =>
-          Math.round((val + m) * 255)
-            .toString(16)
-            .padStart(2, '0')
-        )
-        .join('')
-        .toUpperCase()
-    )
+    const { r, g, b } = this._hsvToUnitRgb(h, s, v)
+    return this._unitRgbToHex(r, g, b)
   }
 
   /**
@@ -161,14 +138,455 @@ export class ColorMath {
     }
   }
 
+  /**
+   * Calculates WCAG 2.x relative luminance
+   * @param {string} hex - HEX color string
+   * @returns {number} Relative luminance (0-1)
+   */
+  static getRelativeLuminance(hex) {
+    const { r, g, b } = this.hexToRgb(hex)
+    return (
+      0.2126 * this._srgbToLinear(r / 255) +
+      0.7152 * this._srgbToLinear(g / 255) +
+      0.0722 * this._srgbToLinear(b / 255)
+    )
+  }
+
+  /**
+   * Calculates WCAG 2.x contrast ratio between two colors
+   * @param {string} hexA - First HEX color
+   * @param {string} hexB - Second HEX color
+   * @returns {number} Contrast ratio (1-21)
+   */
+  static getContrastRatio(hexA, hexB) {
+    const lumA = this.getRelativeLuminance(hexA)
+    const lumB = this.getRelativeLuminance(hexB)
+    return (Math.max(lumA, lumB) + 0.05) / (Math.min(lumA, lumB) + 0.05)
+  }
+
+  /**
+   * Calculates relative luminance that reaches a WCAG 2.x contrast ratio against a background.
+   * Light backgrounds get a darker target, dark backgrounds a lighter one.
+   *
+   * @param {number} ratio - Contrast ratio (1-21)
+   * @param {string} backgroundHex - Background HEX color
+   * @returns {number} Target relative luminance (may fall outside 0-1 if unreachable)
+   */
+  static getLuminanceForContrast(ratio, backgroundHex) {
+    const background = this.getRelativeLuminance(backgroundHex)
+    const isLightBackground =
+      this.getContrastRatio(backgroundHex, '#000000') > this.getContrastRatio(backgroundHex, '#FFFFFF')
+
+    return isLightBackground
+      ? (background + 0.05) / ratio - 0.05
+      : ratio * (background + 0.05) - 0.05
+  }
+
+  /**
+   * Gets highest WCAG 2.x level passed by a contrast ratio for normal text
+   * @param {number} ratio - Contrast ratio
+   * @returns {string|null} 'AAA', 'AA' or null if failing
+   */
+  static getWcagLevel(ratio) {
+    if (ratio >= CONFIG.WCAG_AAA_RATIO) return 'AAA'
+    if (ratio >= CONFIG.WCAG_AA_RATIO) return 'AA'
+    return null
+  }
+
+  /**
+   * Calculates APCA-W3 lightness contrast (Lc) of text on a background.
+   * Positive values mean dark text on light background, negative values light text on dark.
+   *
+   * @param {string} textHex - Text HEX color
+   * @param {string} backgroundHex - Background HEX color
+   * @returns {number} Lightness contrast Lc (roughly -108 to 106)
+   */
+  static getApcaContrast(textHex, backgroundHex) {
+    const A = APCA_CONSTANTS
+    const textY = this._getApcaLuminance(textHex)
+    const backgroundY = this._getApcaLuminance(backgroundHex)
+
+    if (Math.abs(backgroundY - textY) < A.DELTA_Y_MIN) return 0
+
+    let output
+    if (backgroundY > textY) {
+      const sapc = (Math.pow(backgroundY, A.NORM_BG) - Math.pow(textY, A.NORM_TXT)) * A.SCALE
+      output = sapc < A.LOW_CLIP ? 0 : sapc - A.LOW_OFFSET
+    } else {
+      const sapc = (Math.pow(backgroundY, A.REV_BG) - Math.pow(textY, A.REV_TXT)) * A.SCALE
+      output = sapc > -A.LOW_CLIP ? 0 : sapc + A.LOW_OFFSET
+    }
+
+    return output * 100
+  }
+
+  /**
+   * Gets APCA usage level passed by a lightness contrast value
+   * @param {number} lc - Lightness contrast (sign is ignored)
+   * @returns {string|null} 'Body', 'Text', 'Large' or null if failing
+   */
+  static getApcaLevel(lc) {
+    const value = Math.abs(lc)
+    if (value >= CONFIG.APCA_BODY_LC) return 'Body'
+    if (value >= CONFIG.APCA_CONTENT_LC) return 'Text'
+    if (value >= CONFIG.APCA_LARGE_LC) return 'Large'
+    return null
+  }
+
   /**
    * Determines optimal text color (black or white) for given background
    * @param {string} hexColor - Background HEX color
+   * @param {string} [mode] - Contrast algorithm (see CONTRAST_MODES)
    * @returns {string} 'black' or 'white'
    */
-  static getContrastTextColor(hexColor) {
-    const { r, g, b } = this.hexToRgb(hexColor)
-    const luminance = (0.25 * r + 0.35 * g + 0.15 * b) / 255
-    return luminance > 0.4 ? 'black' : 'white'
+  static getContrastTextColor(hexColor, mode = CONTRAST_MODES.WCAG) {
+    if (mode === CONTRAST_MODES.APCA) {
+      const blackText = Math.abs(this.getApcaContrast('#000000', hexColor))
+      const whiteText = Math.abs(this.getApcaContrast('#FFFFFF', hexColor))
+      return blackText > whiteText ? 'black' : 'white'
+    }
+
+    const onBlack = this.getContrastRatio(hexColor, '#000000')
+    const onWhite = this.getContrastRatio(hexColor, '#FFFFFF')
+    return onBlack > onWhite ? 'black' : 'white'
+  }
+
+  /**
+   * Converts HEX color to OKLCH
+   * @param {string} hex - HEX color string
+   * @returns {Object} OKLCH object {l, c, h} (l: 0-1, h: 0-360)
+   */
+  static hexToOklch(hex) {
+    const { r, g, b } = this.hexToRgb(hex)
+    return this._unitRgbToOklch(r / 255, g / 255, b / 255)
+  }
+
+  /**
+   * Converts OKLCH color to HEX, mapping out-of-gamut colors back into sRGB
+   * @param {number} l - Lightness (0-1)
+   * @param {number} c - Chroma (0+)
+   * @param {number} h - Hue (0-360)
+   * @returns {string} HEX color string (#RRGGBB)
+   */
+  static oklchToHex(l, c, h) {
+    const { r, g, b } = this._mapToGamut(l, c, h, (l, c, h) => this._oklchToLinearRgb(l, c, h))
+    return this._unitRgbToHex(r, g, b)
+  }
+
+  /**
+   * Converts HEX color to CIELAB in its cylindrical LCh form (D65 white point)
+   * @param {string} hex - HEX color string
+   * @returns {Object} LCh object {l, c, h} (l: 0-100, h: 0-360)
+   */
+  static hexToLch(hex) {
+    const { r, g, b } = this.hexToRgb(hex)
+    return this._unitRgbToLch(r / 255, g / 255, b / 255)
+  }
+
+  /**
+   * Converts CIELAB LCh color to HEX, mapping out-of-gamut colors back into sRGB
+   * @param {number} l - Lightness (0-100)
+   * @param {number} c - Chroma (0+)
+   * @param {number} h - Hue (0-360)
+   * @returns {string} HEX color string (#RRGGBB)
+   */
+  static lchToHex(l, c, h) {
+    const { r, g, b } = this._mapToGamut(l, c, h, (l, c, h) => this._lchToLinearRgb(l, c, h))
+    return this._unitRgbToHex(r, g, b)
+  }
+
+  /**
+   * Projects an HSV color into the normalized plane of a working color space.
+   * X is chroma (saturation for HSV) and Y is lightness (value for HSV), both 0-1,
+   * so the superellipse fit works the same way in every space.
+   *
+   * @param {number} h - Hue (0-360)
+   * @param {number} s - Saturation (0-100)
+   * @param {number} v - Value/Brightness (0-100)
+   * @param {string} colorSpace - One of COLOR_SPACES
+   * @returns {Object} Working point {hue, x, y}
+   */
+  static toWorkingSpace(h, s, v, colorSpace) {
+    if (colorSpace !== COLOR_SPACES.OKLCH && colorSpace !== COLOR_SPACES.LAB) {
+      return { hue: h, x: s / 100, y: v / 100 }
+    }
+
+    const { r, g, b } = this._hsvToUnitRgb(h, s, v)
+    const toPolar = colorSpace === COLOR_SPACES.OKLCH
+      ? (r, g, b) => this._unitRgbToOklch(r, g, b)
+      : (r, g, b) => this._unitRgbToLch(r, g, b)
+    const { lightnessMax, chromaMax } = this._getWorkingSpaceRange(colorSpace)
+
+    const color = toPolar(r, g, b)
+    const pureHue = this._hsvToUnitRgb(h, 100, 100)
+
+    // Achromatic colors have no hue of their own, so borrow it from the fully saturated picker hue
+    const hue = color.c / chromaMax < CONFIG.ACHROMATIC_THRESHOLD
+      ? toPolar(pureHue.r, pureHue.g, pureHue.b).h
+      : color.h
+
+    return {
+      hue,
+      x: Math.min(1, color.c / chromaMax),
+      y: Math.min(1, color.l / lightnessMax),
+    }
+  }
+
+  /**
+   * Converts a normalized working space point back to a HEX color
+   * @param {number} hue - Hue in the working space (0-360)
+   * @param {number} x - Normalized chroma/saturation (0-1)
+   * @param {number} y - Normalized lightness/value (0-1)
+   * @param {string} colorSpace - One of COLOR_SPACES
+   * @returns {string} HEX color string (#RRGGBB)
+   */
+  static fromWorkingSpace(hue, x, y, colorSpace) {
+    const { lightnessMax, chromaMax } = this._getWorkingSpaceRange(colorSpace)
+
+    if (colorSpace === COLOR_SPACES.OKLCH) {
+      return this.oklchToHex(y * lightnessMax, x * chromaMax, hue)
+    }
+    if (colorSpace === COLOR_SPACES.LAB) {
+      return this.lchToHex(y * lightnessMax, x * chromaMax, hue)
+    }
+    return this.hsvToHex(hue, x * 100, y * 100)
+  }
+
+  /**
+   * Converts a normalized working space point to HSV without rounding,
+   * used to place points on the HSV color picker
+   * @param {number} hue - Hue in the working space (0-360)
+   * @param {number} x - Normalized chroma/saturation (0-1)
+   * @param {number} y - Normalized lightness/value (0-1)
+   * @param {string} colorSpace - One of COLOR_SPACES
+   * @returns {Object} HSV object {h, s, v}, with the HSV hue of the resulting
+   *   color rather than the working space hue
+   */
+  static workingSpaceToHsv(hue, x, y, colorSpace) {
+    if (colorSpace !== COLOR_SPACES.OKLCH && colorSpace !== COLOR_SPACES.LAB) {
+      return { h: hue, s: x * 100, v: y * 100 }
+    }
+
+    const { r, g, b } = this.hexToRgb(this.fromWorkingSpace(hue, x, y, colorSpace))
+    const max = Math.max(r, g, b) / 255
+    const min = Math.min(r, g, b) / 255
+
+    return {
+      h: this.rgbToHsv(r, g, b).h,
+      s: max ? ((max - min) / max) * 100 : 0,
+      v: max * 100,
+    }
+  }
+
+  /**
+   * Get lightness and chroma ranges used to normalize a working space
+   * @private
+   */
+  static _getWorkingSpaceRange(colorSpace) {
+    if (colorSpace === COLOR_SPACES.OKLCH) {
+      return { lightnessMax: 1, chromaMax: CONFIG.OKLCH_CHROMA_MAX }
+    }
+    if (colorSpace === COLOR_SPACES.LAB) {
+      return { lightnessMax: 100, chromaMax: CONFIG.LAB_CHROMA_MAX }
+    }
+    return { lightnessMax: 100, chromaMax: 100 }
+  }
+
+  /**
+   * Converts HSV to unrounded RGB channels (0-1)
+   * @private
+   */
+  static _hsvToUnitRgb(h, s, v) {
+    s /= 100
+    v /= 100
+    const c = v * s
+    const x = c * (1 - Math.abs(((h / 60) % 2) - 1))
+    const m = v - c
+
+    let r, g, b
+    if (h < 60) [r, g, b] = [c, x, 0]
+    else if (h < 120) [r, g, b] = [x, c, 0]
+    else if (h < 180) [r, g, b] = [0, c, x]
+    else if (h < 240) [r, g, b] = [0, x, c]
+    else if (h < 300) [r, g, b] = [x, 0, c]
+    else [r, g, b] = [c, 0, x]
+
+    return { r: r + m, g: g + m, b: b + m }
+  }
+
+  /**
+   * Converts RGB channels (0-1) to HEX string
+   * @private
+   */
+  static _unitRgbToHex(r, g, b) {
+    return (
+      '#' +
+      [r, g, b]
+        .map((val) =>
+          Math.round(val * 255)
+            .toString(16)
+            .padStart(2, '0')
+        )
+        .join('')
+        .toUpperCase()
+    )
+  }
+
+  /**
+   * Converts gamma-encoded sRGB channel (0-1) to linear light
+   * @private
+   */
+  static _srgbToLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+  }
+
+  /**
+   * Converts linear light channel (0-1) to gamma-encoded sRGB
+   * @private
+   */
+  static _linearToSrgb(c) {
+    return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055
+  }
+
+  /**
+   * Calculates APCA screen luminance with soft black clamp
+   * @private
+   */
+  static _getApcaLuminance(hex) {
+    const A = APCA_CONSTANTS
+    const { r, g, b } = this.hexToRgb(hex)
+    const y =
+      A.R_COEF * Math.pow(r / 255, A.MAIN_TRC) +
+      A.G_COEF * Math.pow(g / 255, A.MAIN_TRC) +
+      A.B_COEF * Math.pow(b / 255, A.MAIN_TRC)
+
+    return y > A.BLACK_THRESHOLD ? y : y + Math.pow(A.BLACK_THRESHOLD - y, A.BLACK_CLAMP)
+  }
+
+  /**
+   * Converts Cartesian a/b components to polar chroma/hue
+   * @private
+   */
+  static _toPolar(l, a, b) {
+    let h = (Math.atan2(b, a) * 180) / Math.PI
+    if (h < 0) h += 360
+    return { l, c: Math.sqrt(a * a + b * b), h }
+  }
+
+  /**
+   * Converts sRGB channels (0-1) to OKLCH
+   * @private
+   */
+  static _unitRgbToOklch(r, g, b) {
+    r = this._srgbToLinear(r)
+    g = this._srgbToLinear(g)
+    b = this._srgbToLinear(b)
+
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b)
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b)
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b)
+
+    return this._toPolar(
+      0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+      1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+      0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s
+    )
+  }
+
+  /**
+   * Converts OKLCH to linear sRGB channels (may fall outside 0-1)
+   * @private
+   */
+  static _oklchToLinearRgb(lightness, chroma, hue) {
+    const hueRad = (hue * Math.PI) / 180
+    const a = chroma * Math.cos(hueRad)
+    const b = chroma * Math.sin(hueRad)
+
+    const l = Math.pow(lightness + 0.3963377774 * a + 0.2158037573 * b, 3)
+    const m = Math.pow(lightness - 0.1055613458 * a - 0.0638541728 * b, 3)
+    const s = Math.pow(lightness - 0.0894841775 * a - 1.291485548 * b, 3)
+
+    return {
+      r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      b: -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+    }
+  }
+
+  /**
+   * Converts sRGB channels (0-1) to CIELAB LCh (D65)
+   * @private
+   */
+  static _unitRgbToLch(r, g, b) {
+    r = this._srgbToLinear(r)
+    g = this._srgbToLinear(g)
+    b = this._srgbToLinear(b)
+
+    const [xn, yn, zn] = CONFIG.LAB_WHITE_POINT
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116)
+
+    const fx = f((0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / xn)
+    const fy = f((0.2126729 * r + 0.7151522 * g + 0.072175 * b) / yn)
+    const fz = f((0.0193339 * r + 0.119192 * g + 0.9503041 * b) / zn)
+
+    return this._toPolar(116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz))
+  }
+
+  /**
+   * Converts CIELAB LCh (D65) to linear sRGB channels (may fall outside 0-1)
+   * @private
+   */
+  static _lchToLinearRgb(lightness, chroma, hue) {
+    const hueRad = (hue * Math.PI) / 180
+    const [xn, yn, zn] = CONFIG.LAB_WHITE_POINT
+    const fInv = (t) => (t > 6 / 29 ? t * t * t : (116 * t - 16) / (24389 / 27))
+
+    const fy = (lightness + 16) / 116
+    const fx = fy + (chroma * Math.cos(hueRad)) / 500
+    const fz = fy - (chroma * Math.sin(hueRad)) / 200
+
+    const x = fInv(fx) * xn
+    const y = fInv(fy) * yn
+    const z = fInv(fz) * zn
+
+    return {
+      r: 3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+      g: -0.969266 * x + 1.8760108 * y + 0.041556 * z,
+      b: 0.0556434 * x - 0.2040259 * y + 1.0572252 * z,
+    }
+  }
+
+  /**
+   * Maps a polar color into the sRGB gamut by reducing chroma at constant
+   * lightness and hue (binary search), then clipping any remaining error
+   *
+   * @param {number} l - Lightness
+   * @param {number} c - Chroma
+   * @param {number} h - Hue (0-360)
+   * @param {Function} toLinearRgb - Converter from (l, c, h) to linear sRGB
+   * @returns {Object} Gamma-encoded RGB channels {r, g, b} (0-1)
+   * @private
+   */
+  static _mapToGamut(l, c, h, toLinearRgb) {
+    const isInGamut = ({ r, g, b }) =>
+      [r, g, b].every((val) => val >= -CONFIG.GAMUT_TOLERANCE && val <= 1 + CONFIG.GAMUT_TOLERANCE)
+
+    let rgb = toLinearRgb(l, c, h)
+
+    if (!isInGamut(rgb)) {
+      let low = 0
+      let high = c
+
+      for (let i = 0; i < CONFIG.GAMUT_MAX_ITERATIONS; i++) {
+        const mid = (low + high) / 2
+        if (isInGamut(toLinearRgb(l, mid, h))) low = mid
+        else high = mid
+      }
+
+      rgb = toLinearRgb(l, low, h)
+    }
+
+    const clamp = (val) => this._linearToSrgb(Math.max(0, Math.min(1, val)))
+    return { r: clamp(rgb.r), g: clamp(rgb.g), b: clamp(rgb.b) }
   }
 }
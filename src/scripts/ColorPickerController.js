@@ -34,11 +34,13 @@ export class ColorPickerController {
     this.elements.hueSlider.addEventListener("mousedown", (e) => {
       e.preventDefault();
       this.isDragging = true;
+      this.state.setDragging(true);
       this._updateHue(e);
 
       const onMove = (e) => this.isDragging && this._updateHue(e);
       const onUp = () => {
         this.isDragging = false;
+        this.state.setDragging(false);
         document.removeEventListener("mousemove", onMove);
         document.removeEventListener("mouseup", onUp);
       };
@@ -56,11 +58,13 @@ export class ColorPickerController {
     this.elements.colorPalette.addEventListener("mousedown", (e) => {
       e.preventDefault();
       this.isDragging = true;
+      this.state.setDragging(true);
       this._updateSaturationValue(e);
 
       const onMove = (e) => this.isDragging && this._updateSaturationValue(e);
       const onUp = () => {
         this.isDragging = false;
+        this.state.setDragging(false);
         document.removeEventListener("mousemove", onMove);
         document.removeEventListener("mouseup", onUp);
       };
@@ -80,11 +84,13 @@ export class ColorPickerController {
     this.elements.saturationSlider.addEventListener("mousedown", (e) => {
       e.preventDefault();
       this.isDragging = true;
+      this.state.setDragging(true);
       this._updateSaturationControl(e);
 
       const onMove = (e) => this.isDragging && this._updateSaturationControl(e);
       const onUp = () => {
         this.isDragging = false;
+        this.state.setDragging(false);
         document.removeEventListener("mousemove", onMove);
         document.removeEventListener("mouseup", onUp);
       };
@@ -170,8 +176,7 @@ export class ColorPickerController {
    * Draw primary superellipse curve on color palette
    */
   drawCurve() {
-    const x = this.state.saturation / 100;
-    const y = this.state.value / 100;
+    const { hue, x, y } = this._getWorkingPoint();
     const n = SuperellipseMath.findExponent(x, y);
 
     let svg = this.elements.colorPalette.querySelector(".superellipse-curve");
@@ -194,10 +199,7 @@ export class ColorPickerController {
         const px = Math.pow(Math.cos(t), 2 / n);
         const py = Math.pow(Math.sin(t), 2 / n);
 
-        const pixelX = px * CONFIG.PALETTE_SIZE;
-        const pixelY = (1 - py) * CONFIG.PALETTE_SIZE;
-
-        points.push([pixelX, pixelY]);
+        points.push(this._toPickerPixels(hue, px, py));
       } catch (e) {
         continue;
       }
@@ -225,8 +227,7 @@ export class ColorPickerController {
    * Draw desaturated (secondary) superellipse curve on color palette
    */
   drawDesaturatedCurve() {
-    const x = this.state.saturation / 100;
-    const y = this.state.value / 100;
+    const { hue, x, y } = this._getWorkingPoint();
     const nMain = SuperellipseMath.findExponent(x, y);
     const saturationPercent = this.state.saturationControl;
 
@@ -252,10 +253,13 @@ export class ColorPickerController {
     }
 
     const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+    const points = curvePoints.map((point) =>
+      this._toPickerPixels(hue, point.x, point.y)
+    );
 
-    let pathData = `M ${curvePoints[0].pixelX} ${curvePoints[0].pixelY}`;
-    for (let i = 1; i < curvePoints.length; i++) {
-      pathData += ` L ${curvePoints[i].pixelX} ${curvePoints[i].pixelY}`;
+    let pathData = `M ${points[0][0]} ${points[0][1]}`;
+    for (let i = 1; i < points.length; i++) {
+      pathData += ` L ${points[i][0]} ${points[i][1]}`;
     }
 
     path.setAttribute("d", pathData);
@@ -268,6 +272,37 @@ export class ColorPickerController {
     svg.appendChild(path);
   }
 
+  /**
+   * Get selected color as a point in the working color space
+   * @returns {Object} Working point {hue, x, y}
+   * @private
+   */
+  _getWorkingPoint() {
+    return ColorMath.toWorkingSpace(
+      this.state.hue,
+      this.state.saturation,
+      this.state.value,
+      this.state.colorSpace
+    );
+  }
+
+  /**
+   * Convert a working color space point to pixel position on the HSV palette
+   * @param {number} hue - Working space hue
+   * @param {number} x - Normalized chroma/saturation (0-1)
+   * @param {number} y - Normalized lightness/value (0-1)
+   * @returns {Array} Pixel coordinates [x, y]
+   * @private
+   */
+  _toPickerPixels(hue, x, y) {
+    const hsv = ColorMath.workingSpaceToHsv(hue, x, y, this.state.colorSpace);
+
+    return [
+      (hsv.s / 100) * CONFIG.PALETTE_SIZE,
+      (1 - hsv.v / 100) * CONFIG.PALETTE_SIZE,
+    ];
+  }
+
   /**
    * Draw distribution points on the main curve
    */
@@ -281,6 +316,7 @@ export class ColorPickerController {
       if (!color.isSelected && !color.isBlack && !color.isWhite) {
         const point = document.createElement("div");
         point.className = "distribution-point";
+        if (color.isAnchor) point.classList.add("anchor");
 
         const posS = color.mainS !== undefined ? color.mainS : color.s;
         const posV = color.mainV !== undefined ? color.mainV : color.v;
@@ -298,6 +334,29 @@ export class ColorPickerController {
     this.drawDesaturatedDistributionPoints();
   }
 
+  /**
+   * Mark the hue of every shade on the hue slider to visualize hue shift
+   */
+  drawHueShiftMarkers() {
+    const existingMarkers = this.elements.hueSlider.querySelectorAll(
+      ".hue-shift-marker"
+    );
+    existingMarkers.forEach((marker) => marker.remove());
+
+    this.state.generatedColors.forEach((color) => {
+      if (color.isSelected || color.isBlack || color.isWhite) return;
+
+      const hsv = ColorMath.hexToHsv(color.mainHex || color.hex);
+      if (hsv.s < CONFIG.SATURATION_MIN_THRESHOLD) return;
+
+      const marker = document.createElement("div");
+      marker.className = "hue-shift-marker";
+      marker.style.top = (hsv.h / 360) * CONFIG.HUE_SLIDER_SIZE + "px";
+
+      this.elements.hueSlider.appendChild(marker);
+    });
+  }
+
   /**
    * Draw distribution points on the desaturated curve
    */
@@ -313,37 +372,15 @@ export class ColorPickerController {
       return;
     }
 
-    const x = this.state.saturation / 100;
-    const y = this.state.value / 100;
-    const nMain = SuperellipseMath.findExponent(x, y);
-    const desaturatedCurvePoints = SuperellipseMath.generateDesaturatedCurve(
-      nMain,
-      saturationPercent
-    );
-
-    if (desaturatedCurvePoints.length < 2) {
-      return;
-    }
-
     this.state.generatedColors.forEach((color) => {
       if (color.isBlack || color.isWhite) {
         return;
       }
 
-      const targetArcLength = color.arcLength;
-      const projectedPoint = SuperellipseMath.findPointAtArcLength(
-        targetArcLength,
-        desaturatedCurvePoints
-      );
-
-      if (!projectedPoint) {
-        return;
-      }
-
       const point = document.createElement("div");
       point.className = "distribution-point-secondary";
-      point.style.left = projectedPoint.x * CONFIG.PALETTE_SIZE + "px";
-      point.style.top = (1 - projectedPoint.y) * CONFIG.PALETTE_SIZE + "px";
+      point.style.left = (color.s / 100) * CONFIG.PALETTE_SIZE + "px";
+      point.style.top = ((100 - color.v) / 100) * CONFIG.PALETTE_SIZE + "px";
       point.style.background = color.hex;
 
       this.elements.colorPalette.appendChild(point);
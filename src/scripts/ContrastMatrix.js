@@ -0,0 +1,244 @@
+import { CONTRAST_MODES, CONTRAST_THRESHOLDS } from "./config.js";
+import { ColorMath } from "./ColorMath.js";
+
+// ============================================================================
+// CONTRAST MATRIX
+// Pairwise contrast of every generated shade against every other shade
+// ============================================================================
+
+export class ContrastMatrix {
+  constructor(state) {
+    this.state = state;
+    this.elements = {
+      grid: document.getElementById("contrastGrid"),
+      threshold: document.getElementById("contrastThreshold"),
+      placeButton: document.getElementById("placeMatrixButton"),
+      error: document.getElementById("matrixError"),
+    };
+
+    this._initializeEventListeners();
+    this._renderThresholdOptions();
+
+    this.state.subscribe((changeType) => this._handleStateChange(changeType));
+  }
+
+  /**
+   * Build pairwise contrast matrix. Rows are text colors, columns are backgrounds.
+   *
+   * @param {Array} colors - Named colors in display order
+   * @param {string} mode - Contrast algorithm (see CONTRAST_MODES)
+   * @param {number} threshold - Minimum ratio (WCAG) or absolute Lc (APCA) to pass
+   * @returns {Array} Rows of cells {value, label, passes, isSelf}
+   */
+  static buildMatrix(colors, mode, threshold) {
+    return colors.map((text) =>
+      colors.map((background) => {
+        const isSelf = text === background;
+
+        if (mode === CONTRAST_MODES.APCA) {
+          const lc = ColorMath.getApcaContrast(text.hex, background.hex);
+          return {
+            value: lc,
+            label: `${Math.round(lc)}`,
+            passes: !isSelf && Math.abs(lc) >= threshold,
+            isSelf,
+          };
+        }
+
+        const ratio = ColorMath.getContrastRatio(text.hex, background.hex);
+        return {
+          value: ratio,
+          label: ratio.toFixed(1),
+          passes: !isSelf && ratio >= threshold,
+          isSelf,
+        };
+      })
+    );
+  }
+
+  /**
+   * Format threshold for display
+   * @param {string} mode - Contrast algorithm
+   * @param {number} threshold - Threshold value
+   * @returns {string} Label such as "4.5:1" or "Lc 60"
+   */
+  static formatThreshold(mode, threshold) {
+    return mode === CONTRAST_MODES.APCA ? `Lc ${threshold}` : `${threshold}:1`;
+  }
+
+  /**
+   * Initialize threshold select and canvas button
+   * @private
+   */
+  _initializeEventListeners() {
+    this.elements.threshold.addEventListener("change", (e) => {
+      this.state.setContrastThreshold(parseFloat(e.target.value));
+    });
+
+    this.elements.placeButton.addEventListener("click", () => {
+      this._placeOnCanvas();
+    });
+  }
+
+  /**
+   * Handle state changes from AppState
+   * @param {string} changeType - Type of change
+   * @private
+   */
+  _handleStateChange(changeType) {
+    switch (changeType) {
+      case "settings":
+        this._renderThresholdOptions();
+        break;
+
+      case "restore":
+        this._renderThresholdOptions();
+        this._render();
+        break;
+
+      case "colors":
+      case "tab":
+      case "contrast-threshold":
+        this._render();
+        break;
+
+      case "matrix":
+        this.elements.error.hidden = !this.state.matrixError;
+        this.elements.error.textContent = this.state.matrixError || "";
+        break;
+    }
+  }
+
+  /**
+   * Render threshold options for current contrast mode
+   * @private
+   */
+  _renderThresholdOptions() {
+    const mode = this.state.contrastMode;
+    const current = this.state.contrastThresholds[mode];
+
+    this.elements.threshold.innerHTML = CONTRAST_THRESHOLDS[mode]
+      .map(
+        (threshold) =>
+          `<option value="${threshold}" ${threshold === current ? "selected" : ""}>
+            Pass at ${ContrastMatrix.formatThreshold(mode, threshold)}
+          </option>`
+      )
+      .join("");
+  }
+
+  /**
+   * Render matrix grid when Contrast tab is visible
+   * @private
+   */
+  _render() {
+    if (this.state.activeTab !== "contrast") return;
+
+    const grid = this.elements.grid;
+    const colors = this.state.getDisplayColors();
+    const matrix = ContrastMatrix.buildMatrix(
+      colors,
+      this.state.contrastMode,
+      this.state.contrastThresholds[this.state.contrastMode]
+    );
+
+    grid.innerHTML = "";
+    grid.style.gridTemplateColumns = `repeat(${colors.length + 1}, max-content)`;
+
+    const corner = document.createElement("div");
+    corner.className = "contrast-cell header";
+    grid.appendChild(corner);
+
+    colors.forEach((color) => {
+      grid.appendChild(this._createHeaderCell(color));
+    });
+
+    matrix.forEach((row, rowIndex) => {
+      const text = colors[rowIndex];
+      grid.appendChild(this._createHeaderCell(text));
+
+      row.forEach((cell, columnIndex) => {
+        const element = document.createElement("div");
+        element.className = "contrast-cell";
+        if (!cell.passes) element.classList.add("fail");
+        element.style.background = colors[columnIndex].hex;
+        element.style.color = text.hex;
+        element.textContent = cell.isSelf ? "—" : cell.label;
+        element.title = `${text.displayName} on ${colors[columnIndex].displayName}`;
+
+        grid.appendChild(element);
+      });
+    });
+  }
+
+  /**
+   * Create header cell showing shade step
+   * @param {Object} color - Named color
+   * @returns {HTMLElement} Header cell
+   * @private
+   */
+  _createHeaderCell(color) {
+    const cell = document.createElement("div");
+    cell.className = "contrast-cell header";
+    cell.style.background = color.hex;
+    cell.style.color = ColorMath.getContrastTextColor(
+      color.hex,
+      this.state.contrastMode
+    );
+    cell.textContent = color.step;
+    cell.title = color.displayName;
+
+    return cell;
+  }
+
+  /**
+   * Send matrix to plugin to be placed on canvas as a frame
+   * @private
+   */
+  _placeOnCanvas() {
+    this.state.setMatrixError(null);
+
+    const mode = this.state.contrastMode;
+    const threshold = this.state.contrastThresholds[mode];
+    const colors = this.state.getDisplayColors();
+    const matrix = ContrastMatrix.buildMatrix(colors, mode, threshold);
+    const rgbDivisor = 255;
+
+    parent.postMessage(
+      {
+        pluginMessage: {
+          type: "create-contrast-matrix",
+          paletteName: this.state.getPaletteName(),
+          colors: colors.map((color) => {
+            const rgb = ColorMath.hexToRgb(color.hex);
+            const textColor = ColorMath.getContrastTextColor(color.hex, mode);
+
+            return {
+              hex: color.hex,
+              name: color.step,
+              rgb: {
+                r: rgb.r / rgbDivisor,
+                g: rgb.g / rgbDivisor,
+                b: rgb.b / rgbDivisor,
+              },
+              textColor:
+                textColor === "white"
+                  ? { r: 1, g: 1, b: 1 }
+                  : { r: 0, g: 0, b: 0 },
+            };
+          }),
+          cells: matrix.map((row) =>
+            row.map((cell) => ({
+              label: cell.isSelf ? "—" : cell.label,
+              passes: cell.passes,
+            }))
+          ),
+          title: `${
+            mode === CONTRAST_MODES.APCA ? "APCA" : "WCAG 2"
+          } · pass at ${ContrastMatrix.formatThreshold(mode, threshold)}`,
+        },
+      },
+      "*"
+    );
+  }
+}
@@ -0,0 +1,520 @@
+import { CONFIG, VALUE_FORMATS } from "./config.js";
+import { ColorMath } from "./ColorMath.js";
+import { ZipWriter } from "./ZipWriter.js";
+
+// ============================================================================
+// EXPORT FORMATS
+// Serializes named palettes into file formats for use outside Figma
+// ============================================================================
+
+export class ExportFormats {
+  /**
+   * Build W3C Design Tokens (DTCG) JSON grouped by palette name
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name used as the token group
+   * @returns {string} JSON document
+   */
+  static toDesignTokens(colors, paletteName) {
+    const group = {};
+
+    colors.forEach((color) => {
+      group[this._toTokenName(color.step)] = {
+        $type: "color",
+        $value: color.hex.toUpperCase(),
+        $description: this._describe(color),
+      };
+    });
+
+    return JSON.stringify({ [this._toTokenName(paletteName)]: group }, null, 2);
+  }
+
+  /**
+   * Build CSS custom properties on :root
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name used as property prefix
+   * @param {string} valueFormat - Color value format (see VALUE_FORMATS)
+   * @returns {string} CSS source
+   */
+  static toCss(colors, paletteName, valueFormat) {
+    const prefix = this._toKebabCase(paletteName);
+    const properties = colors.map(
+      (color) =>
+        `  --${prefix}-${this._toKebabCase(color.step)}: ${this.formatValue(
+          color.hex,
+          valueFormat
+        )};`
+    );
+
+    return [":root {", ...properties, "}", ""].join("\n");
+  }
+
+  /**
+   * Build SCSS map keyed by step
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name used as map variable
+   * @param {string} valueFormat - Color value format (see VALUE_FORMATS)
+   * @returns {string} SCSS source
+   */
+  static toScss(colors, paletteName, valueFormat) {
+    const entries = colors.map(
+      (color) =>
+        `  ${JSON.stringify(color.step)}: ${this.formatValue(
+          color.hex,
+          valueFormat
+        )},`
+    );
+
+    return [
+      `$${this._toKebabCase(paletteName)}: (`,
+      ...entries,
+      ");",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Build Tailwind config extending theme.colors with the palette
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name used as color group
+   * @param {string} valueFormat - Color value format (see VALUE_FORMATS)
+   * @returns {string} Tailwind config source
+   */
+  static toTailwind(colors, paletteName, valueFormat) {
+    const entries = this._toObjectEntries(colors, valueFormat, "          ");
+
+    return [
+      "/** @type {import('tailwindcss').Config} */",
+      "export default {",
+      "  theme: {",
+      "    extend: {",
+      "      colors: {",
+      `        ${JSON.stringify(this._toKebabCase(paletteName))}: {`,
+      ...entries,
+      "        },",
+      "      },",
+      "    },",
+      "  },",
+      "};",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Build JavaScript or TypeScript module exporting the palette object
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name used as export name
+   * @param {string} valueFormat - Color value format (see VALUE_FORMATS)
+   * @param {boolean} [typescript] - Add `as const` for literal types
+   * @returns {string} Module source
+   */
+  static toModule(colors, paletteName, valueFormat, typescript = false) {
+    const entries = this._toObjectEntries(colors, valueFormat, "  ");
+
+    return [
+      `export const ${this._toCamelCase(paletteName)} = {`,
+      ...entries,
+      typescript ? "} as const;" : "};",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Build Adobe Swatch Exchange file with one named group per palette.
+   * Blocks are big-endian; names are null-terminated UTF-16.
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name used as the swatch group
+   * @returns {Uint8Array} ASE file bytes
+   */
+  static toAse(colors, paletteName) {
+    const blocks = [
+      this._aseBlock(0xc001, this._aseString(paletteName)),
+      ...colors.map((color) => {
+        const name = this._aseString(color.displayName);
+        const { r, g, b } = ColorMath.hexToRgb(color.hex);
+        const data = new Uint8Array(name.length + 4 + 12 + 2);
+        const view = new DataView(data.buffer);
+
+        data.set(name, 0);
+        let position = name.length;
+        for (const char of "RGB ") data[position++] = char.charCodeAt(0);
+        [r, g, b].forEach((channel) => {
+          view.setFloat32(position, channel / 255);
+          position += 4;
+        });
+        view.setUint16(position, 2); // normal (process) color
+
+        return this._aseBlock(0x0001, data);
+      }),
+      this._aseBlock(0xc002, new Uint8Array(0)),
+    ];
+
+    const header = new Uint8Array(12);
+    const view = new DataView(header.buffer);
+    for (let i = 0; i < 4; i++) header[i] = "ASEF".charCodeAt(i);
+    view.setUint16(4, 1);
+    view.setUint16(6, 0);
+    view.setUint32(8, blocks.length);
+
+    return ZipWriter.concat([header, ...blocks]);
+  }
+
+  /**
+   * Build GIMP palette (.gpl)
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name
+   * @returns {string} GPL source
+   */
+  static toGpl(colors, paletteName) {
+    const pad = (channel) => String(channel).padStart(3, " ");
+    const entries = colors.map((color) => {
+      const { r, g, b } = ColorMath.hexToRgb(color.hex);
+      return `${pad(r)} ${pad(g)} ${pad(b)}\t${color.displayName}`;
+    });
+
+    return [
+      "GIMP Palette",
+      `Name: ${paletteName}`,
+      "Columns: 0",
+      "#",
+      ...entries,
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Build Procreate Swatches.json. Procreate stores HSB swatches without
+   * names and holds at most 30 per palette, so extra shades are dropped.
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name
+   * @returns {string} Swatches.json source, zipped by toProcreate()
+   */
+  static toProcreateSwatches(colors, paletteName) {
+    const swatches = colors
+      .slice(0, CONFIG.PROCREATE_MAX_SWATCHES)
+      .map((color) => ({
+        ...this._toUnitHsb(color.hex),
+        alpha: 1,
+        colorSpace: 0,
+      }));
+
+    return JSON.stringify([{ name: paletteName, swatches }]);
+  }
+
+  /**
+   * Build Procreate .swatches file: a ZIP archive holding Swatches.json
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name
+   * @param {Date} [date] - Modification date stored in the archive
+   * @returns {Uint8Array} .swatches file bytes
+   */
+  static toProcreate(colors, paletteName, date = new Date()) {
+    return ZipWriter.create(
+      [
+        {
+          path: "Swatches.json",
+          content: this.toProcreateSwatches(colors, paletteName),
+        },
+      ],
+      date
+    );
+  }
+
+  /**
+   * Convert HEX to unrounded HSB in the 0-1 range
+   * @param {string} hex - HEX color
+   * @returns {Object} HSB {hue, saturation, brightness}
+   * @private
+   */
+  static _toUnitHsb(hex) {
+    const rgb = ColorMath.hexToRgb(hex);
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map((channel) => channel / 255);
+    const max = Math.max(r, g, b);
+    const diff = max - Math.min(r, g, b);
+
+    let hue = 0;
+    if (diff) {
+      if (max === r) hue = ((g - b) / diff + 6) % 6;
+      else if (max === g) hue = (b - r) / diff + 2;
+      else hue = (r - g) / diff + 4;
+    }
+
+    return {
+      hue: hue / 6,
+      saturation: max ? diff / max : 0,
+      brightness: max,
+    };
+  }
+
+  /**
+   * Build ASE block with type, length and data
+   * @param {number} type - Block type
+   * @param {Uint8Array} data - Block data
+   * @returns {Uint8Array} Block bytes
+   * @private
+   */
+  static _aseBlock(type, data) {
+    const block = new Uint8Array(6 + data.length);
+    const view = new DataView(block.buffer);
+    view.setUint16(0, type);
+    view.setUint32(2, data.length);
+    block.set(data, 6);
+
+    return block;
+  }
+
+  /**
+   * Encode ASE name: UTF-16 unit count (with terminator) and UTF-16BE text
+   * @param {string} text - Name
+   * @returns {Uint8Array} Encoded name
+   * @private
+   */
+  static _aseString(text) {
+    const bytes = new Uint8Array(2 + (text.length + 1) * 2);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, text.length + 1);
+    for (let i = 0; i < text.length; i++) {
+      view.setUint16(2 + i * 2, text.charCodeAt(i));
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Build native platform files: Android colors.xml and an iOS asset catalog
+   * with one .colorset per shade
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name
+   * @returns {Array<Object>} Files {path, content}
+   */
+  static toNativeFiles(colors, paletteName) {
+    const catalog = `ios/${this._toPathName(paletteName)}.xcassets`;
+
+    return [
+      {
+        path: "android/res/values/colors.xml",
+        content: this.toAndroidXml(colors, paletteName),
+      },
+      {
+        path: `${catalog}/Contents.json`,
+        content: this._toXcodeJson({ info: this._xcodeInfo() }),
+      },
+      ...colors.map((color) => ({
+        path: `${catalog}/${this._toPathName(
+          color.displayName
+        )}.colorset/Contents.json`,
+        content: this.toIosColorset(color.hex),
+      })),
+    ];
+  }
+
+  /**
+   * Build Android color resources
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name
+   * @returns {string} colors.xml source
+   */
+  static toAndroidXml(colors, paletteName) {
+    const entries = colors.map((color) => {
+      const name = this._toResourceName(color.displayName);
+      return `    <color name="${name}">${color.hex.toUpperCase()}</color>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      `<!-- ${this._escapeXml(paletteName)} -->`,
+      "<resources>",
+      ...entries,
+      "</resources>",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Build iOS .colorset Contents.json for an sRGB color
+   * @param {string} hex - HEX color string
+   * @returns {string} Contents.json source
+   */
+  static toIosColorset(hex) {
+    const channel = (offset) =>
+      `0x${hex.substring(offset, offset + 2).toUpperCase()}`;
+
+    return this._toXcodeJson({
+      colors: [
+        {
+          color: {
+            "color-space": "srgb",
+            components: {
+              alpha: "1.000",
+              blue: channel(5),
+              green: channel(3),
+              red: channel(1),
+            },
+          },
+          idiom: "universal",
+        },
+      ],
+      info: this._xcodeInfo(),
+    });
+  }
+
+  /**
+   * Asset catalog info block written by Xcode
+   * @returns {Object} Info object
+   * @private
+   */
+  static _xcodeInfo() {
+    return { author: "xcode", version: 1 };
+  }
+
+  /**
+   * Serialize JSON with Xcode spacing ("key" : value)
+   * @param {Object} value - JSON value
+   * @returns {string} JSON source
+   * @private
+   */
+  static _toXcodeJson(value) {
+    return `${JSON.stringify(value, null, 2).replace(/": /g, '" : ')}\n`;
+  }
+
+  /**
+   * Convert name to Android resource name ("Brand Blue 50" -> "brand_blue_50")
+   * @param {string} name - Raw name
+   * @returns {string} Resource name starting with a letter
+   * @private
+   */
+  static _toResourceName(name) {
+    const resourceName = this._toKebabCase(name).replace(/-/g, "_");
+    return /^[a-z]/.test(resourceName) ? resourceName : `color_${resourceName}`;
+  }
+
+  /**
+   * Make a file or folder name safe for archives
+   * @param {string} name - Raw name
+   * @returns {string} Path segment
+   * @private
+   */
+  static _toPathName(name) {
+    return String(name).replace(/[\\/:*?"<>|]/g, "-").trim() || "Color";
+  }
+
+  /**
+   * Escape XML special characters
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   * @private
+   */
+  static _escapeXml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/--/g, "- -");
+  }
+
+  /**
+   * Format HEX color as CSS color value
+   * @param {string} hex - HEX color string
+   * @param {string} valueFormat - Color value format (see VALUE_FORMATS)
+   * @returns {string} Color value such as "#2563EB" or "rgb(37, 99, 235)"
+   */
+  static formatValue(hex, valueFormat) {
+    switch (valueFormat) {
+      case VALUE_FORMATS.RGB: {
+        const { r, g, b } = ColorMath.hexToRgb(hex);
+        return `rgb(${r}, ${g}, ${b})`;
+      }
+
+      case VALUE_FORMATS.OKLCH: {
+        const { l, c, h } = ColorMath.hexToOklch(hex);
+        const lightness = this._round(l * 100, 2);
+        const chroma = this._round(c, 4);
+        const hue = c < CONFIG.ACHROMATIC_THRESHOLD ? 0 : this._round(h, 2);
+        return `oklch(${lightness}% ${chroma} ${hue})`;
+      }
+
+      default:
+        return hex.toUpperCase();
+    }
+  }
+
+  /**
+   * Build quoted object entries keyed by step
+   * @param {Array} colors - Named colors
+   * @param {string} valueFormat - Color value format
+   * @param {string} indent - Line indent
+   * @returns {Array<string>} Source lines
+   * @private
+   */
+  static _toObjectEntries(colors, valueFormat, indent) {
+    return colors.map(
+      (color) =>
+        `${indent}${JSON.stringify(color.step)}: ${JSON.stringify(
+          this.formatValue(color.hex, valueFormat)
+        )},`
+    );
+  }
+
+  /**
+   * Convert name to kebab-case identifier ("Brand Blue" -> "brand-blue")
+   * @param {string} name - Raw name
+   * @returns {string} Kebab-case name
+   * @private
+   */
+  static _toKebabCase(name) {
+    return (
+      String(name)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "color"
+    );
+  }
+
+  /**
+   * Convert name to camelCase identifier ("Brand Blue" -> "brandBlue")
+   * @param {string} name - Raw name
+   * @returns {string} Valid JavaScript identifier
+   * @private
+   */
+  static _toCamelCase(name) {
+    const identifier = this._toKebabCase(name).replace(
+      /-([a-z0-9])/g,
+      (_, char) => char.toUpperCase()
+    );
+
+    return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+  }
+
+  /**
+   * Round number and drop trailing zeros
+   * @param {number} value - Number
+   * @param {number} digits - Decimal places
+   * @returns {number} Rounded number
+   * @private
+   */
+  static _round(value, digits) {
+    return Number(value.toFixed(digits));
+  }
+
+  /**
+   * Make a DTCG-safe token or group name. Names may not start with "$"
+   * or contain ".", "{" or "}".
+   * @param {string} name - Raw name
+   * @returns {string} Token name
+   * @private
+   */
+  static _toTokenName(name) {
+    return String(name).replace(/[.{}]/g, "-").replace(/^\$/, "");
+  }
+
+  /**
+   * Describe a shade, noting selected and anchor colors
+   * @param {Object} color - Named color
+   * @returns {string} Description
+   * @private
+   */
+  static _describe(color) {
+    if (color.isSelected) return `${color.displayName} (selected color)`;
+    if (color.isAnchor) return `${color.displayName} (anchor)`;
+    return color.displayName;
+  }
+}
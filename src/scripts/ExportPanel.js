@@ -0,0 +1,241 @@
+import { CONFIG, EXPORT_FORMATS } from "./config.js";
+import { ExportFormats } from "./ExportFormats.js";
+import { ZipWriter } from "./ZipWriter.js";
+
+// ============================================================================
+// EXPORT PANEL
+// Renders the current palette in file formats and copies or downloads it
+// ============================================================================
+
+export class ExportPanel {
+  constructor(state) {
+    this.state = state;
+    this.elements = {
+      format: document.getElementById("exportFormat"),
+      valueFormat: document.getElementById("exportValueFormat"),
+      output: document.getElementById("exportOutput"),
+      copyButton: document.getElementById("copyExportButton"),
+      downloadButton: document.getElementById("downloadExportButton"),
+    };
+
+    this._initializeEventListeners();
+
+    this.state.subscribe((changeType) => this._handleStateChange(changeType));
+  }
+
+  /**
+   * Initialize format select and action buttons
+   * @private
+   */
+  _initializeEventListeners() {
+    this.elements.format.addEventListener("change", (e) => {
+      this.elements.valueFormat.disabled = [
+        EXPORT_FORMATS.DTCG,
+        EXPORT_FORMATS.NATIVE,
+        EXPORT_FORMATS.ASE,
+        EXPORT_FORMATS.GPL,
+        EXPORT_FORMATS.PROCREATE,
+      ].includes(e.target.value);
+      this._render();
+    });
+    this.elements.valueFormat.addEventListener("change", () => this._render());
+
+    this.elements.copyButton.addEventListener("click", () => {
+      this._copyToClipboard();
+    });
+
+    this.elements.downloadButton.addEventListener("click", () => {
+      this._download();
+    });
+  }
+
+  /**
+   * Handle state changes from AppState
+   * @param {string} changeType - Type of change
+   * @private
+   */
+  _handleStateChange(changeType) {
+    switch (changeType) {
+      case "colors":
+      case "name":
+      case "tab":
+      case "feature":
+        this._render();
+        break;
+    }
+  }
+
+  /**
+   * Build export file for the selected format. Binary files carry a text
+   * preview for the output panel.
+   * @returns {Object} File {content, fileName, mimeType, preview}
+   * @private
+   */
+  _buildExport() {
+    const colors = this.state.getDisplayColors();
+    const paletteName = this.state.getPaletteName();
+    const valueFormat = this.elements.valueFormat.value;
+
+    switch (this.elements.format.value) {
+      case EXPORT_FORMATS.CSS:
+        return {
+          content: ExportFormats.toCss(colors, paletteName, valueFormat),
+          fileName: `${paletteName}.css`,
+          mimeType: "text/css",
+        };
+
+      case EXPORT_FORMATS.SCSS:
+        return {
+          content: ExportFormats.toScss(colors, paletteName, valueFormat),
+          fileName: `_${paletteName}.scss`,
+          mimeType: "text/plain",
+        };
+
+      case EXPORT_FORMATS.TAILWIND:
+        return {
+          content: ExportFormats.toTailwind(colors, paletteName, valueFormat),
+          fileName: "tailwind.config.js",
+          mimeType: "text/javascript",
+        };
+
+      case EXPORT_FORMATS.JS:
+      case EXPORT_FORMATS.TS: {
+        const isTypeScript = this.elements.format.value === EXPORT_FORMATS.TS;
+        return {
+          content: ExportFormats.toModule(
+            colors,
+            paletteName,
+            valueFormat,
+            isTypeScript
+          ),
+          fileName: `${paletteName}.${isTypeScript ? "ts" : "js"}`,
+          mimeType: "text/javascript",
+        };
+      }
+
+      case EXPORT_FORMATS.NATIVE: {
+        const files = ExportFormats.toNativeFiles(colors, paletteName);
+        return {
+          content: ZipWriter.create(files),
+          fileName: `${paletteName} (Android + iOS).zip`,
+          mimeType: "application/zip",
+          preview: [
+            ...files.map((file) => file.path),
+            "",
+            files[0].content,
+          ].join("\n"),
+        };
+      }
+
+      case EXPORT_FORMATS.ASE:
+        return {
+          content: ExportFormats.toAse(colors, paletteName),
+          fileName: `${paletteName}.ase`,
+          mimeType: "application/octet-stream",
+          preview: this._listSwatches(colors, paletteName),
+        };
+
+      case EXPORT_FORMATS.GPL:
+        return {
+          content: ExportFormats.toGpl(colors, paletteName),
+          fileName: `${paletteName}.gpl`,
+          mimeType: "text/plain",
+        };
+
+      case EXPORT_FORMATS.PROCREATE:
+        return {
+          content: ExportFormats.toProcreate(colors, paletteName),
+          fileName: `${paletteName}.swatches`,
+          mimeType: "application/zip",
+          preview: this._listSwatches(
+            colors.slice(0, CONFIG.PROCREATE_MAX_SWATCHES),
+            paletteName
+          ),
+        };
+
+      case EXPORT_FORMATS.DTCG:
+      default:
+        return {
+          content: ExportFormats.toDesignTokens(colors, paletteName),
+          fileName: `${paletteName}.tokens.json`,
+          mimeType: "application/json",
+        };
+    }
+  }
+
+  /**
+   * List swatch names and values as preview for binary swatch files
+   * @param {Array} colors - Named colors in display order
+   * @param {string} paletteName - Palette name
+   * @returns {string} Preview text
+   * @private
+   */
+  _listSwatches(colors, paletteName) {
+    return [
+      paletteName,
+      ...colors.map((color) => `  ${color.displayName}  ${color.hex}`),
+    ].join("\n");
+  }
+
+  /**
+   * Render export preview when Export tab is visible
+   * @private
+   */
+  _render() {
+    if (this.state.activeTab !== "export") return;
+
+    const file = this._buildExport();
+    this.elements.output.value = file.preview || file.content;
+    this.elements.copyButton.disabled = typeof file.content !== "string";
+  }
+
+  /**
+   * Copy export to clipboard. Figma plugin iframes block the async
+   * Clipboard API, so the preview text is selected and copied instead.
+   * @private
+   */
+  _copyToClipboard() {
+    const output = this.elements.output;
+    output.value = this._buildExport().content;
+    output.select();
+    document.execCommand("copy");
+    output.setSelectionRange(0, 0);
+
+    this._showFeedback(this.elements.copyButton, "Copied");
+  }
+
+  /**
+   * Download export as a file from the plugin iframe
+   * @private
+   */
+  _download() {
+    const { content, fileName, mimeType } = this._buildExport();
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), CONFIG.EXPORT_FEEDBACK_DURATION);
+  }
+
+  /**
+   * Temporarily replace button label with feedback text
+   * @param {HTMLElement} button - Button element
+   * @param {string} text - Feedback text
+   * @private
+   */
+  _showFeedback(button, text) {
+    const label = button.dataset.label || button.textContent.trim();
+    button.dataset.label = label;
+    button.textContent = text;
+
+    clearTimeout(button._feedbackTimeout);
+    button._feedbackTimeout = setTimeout(() => {
+      button.textContent = label;
+    }, CONFIG.EXPORT_FEEDBACK_DURATION);
+  }
+}
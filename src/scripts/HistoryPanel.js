@@ -0,0 +1,145 @@
+import { ColorGenerator } from "./ColorGenerator.js";
+
+// ============================================================================
+// HISTORY PANEL
+// Undo and redo buttons, keyboard shortcuts and the list of history entries
+// ============================================================================
+
+export class HistoryPanel {
+  constructor(state) {
+    this.state = state;
+    this.elements = {
+      undoButton: document.getElementById("undoButton"),
+      redoButton: document.getElementById("redoButton"),
+      historyButton: document.getElementById("historyButton"),
+      list: document.getElementById("historyList"),
+    };
+
+    this._initializeEventListeners();
+    this._initializeShortcuts();
+    this._render();
+
+    this.state.subscribe((changeType) => {
+      if (changeType === "history") this._render();
+    });
+  }
+
+  /**
+   * Initialize undo, redo and history list buttons
+   * @private
+   */
+  _initializeEventListeners() {
+    this.elements.undoButton.addEventListener("click", () => this.state.undo());
+    this.elements.redoButton.addEventListener("click", () => this.state.redo());
+
+    this.elements.historyButton.addEventListener("click", (e) => {
+      const isOpen = e.currentTarget.classList.toggle("active");
+      this.elements.list.style.display = isOpen ? "flex" : "none";
+      this._render();
+    });
+  }
+
+  /**
+   * Bind Ctrl/Cmd+Z to undo and Shift+Ctrl/Cmd+Z to redo. Text fields keep
+   * their own undo.
+   * @private
+   */
+  _initializeShortcuts() {
+    document.addEventListener("keydown", (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.key.toLowerCase() !== "z") return;
+      if (e.target.matches && e.target.matches("input, textarea")) return;
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.state.redo();
+      } else {
+        this.state.undo();
+      }
+    });
+  }
+
+  /**
+   * Update buttons and render history list when it is open, newest first
+   * @private
+   */
+  _render() {
+    const { history, historyIndex } = this.state;
+
+    this.elements.undoButton.disabled = historyIndex <= 0;
+    this.elements.redoButton.disabled = historyIndex >= history.length - 1;
+
+    if (!this.elements.historyButton.classList.contains("active")) return;
+
+    const list = this.elements.list;
+    list.innerHTML = "";
+
+    history
+      .map((entry, index) => ({ entry, index }))
+      .reverse()
+      .forEach(({ entry, index }) => {
+        const item = document.createElement("div");
+        item.className = "history-item";
+        item.classList.toggle("current", index === historyIndex);
+        item.classList.toggle("redo", index > historyIndex);
+
+        const label = document.createElement("span");
+        label.className = "history-label";
+        label.textContent = entry.label;
+
+        const preview = document.createElement("div");
+        preview.className = "history-preview";
+        preview.title = entry.label;
+
+        item.addEventListener(
+          "mouseenter",
+          () => {
+            this._generatePreviewColors(entry.settings).forEach((color) => {
+              const swatch = document.createElement("div");
+              swatch.className = "spectrum-color";
+              swatch.style.background = color;
+              preview.appendChild(swatch);
+            });
+          },
+          { once: true }
+        );
+        item.addEventListener("click", () => this.state.goToHistory(index));
+
+        item.append(label, preview);
+        list.appendChild(item);
+      });
+  }
+
+  /**
+   * Generate palette of a history entry in display order
+   * @param {Object} settings - Palette settings of the entry
+   * @returns {Array<string>} HEX colors
+   * @private
+   */
+  _generatePreviewColors(settings) {
+    const { colors } = ColorGenerator.generatePalette({
+      hue: settings.hue,
+      saturation: settings.saturation,
+      value: settings.value,
+      colorCount: settings.colorCount,
+      contrast: settings.contrast,
+      smartSpacing: settings.features.smartSpacing,
+      includeBlackWhite: settings.features.includeBlackWhite,
+      saturationControl: settings.saturationControl,
+      colorSpace: settings.colorSpace,
+      targets: settings.targetType
+        ? { type: settings.targetType, values: settings.targetValues }
+        : null,
+      hueShift: { amount: settings.hueShift, curve: settings.hueShiftCurve },
+      anchors: settings.anchors,
+      selectedStep: settings.selectedStep,
+      naming: {
+        scheme: settings.namingScheme,
+        customSteps: settings.customSteps,
+        zeroPad: settings.zeroPadSteps,
+      },
+    });
+
+    const hexColors = colors.map((color) => color.hex);
+    return settings.features.reverseOrder ? hexColors : hexColors.reverse();
+  }
+}
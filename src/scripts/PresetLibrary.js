@@ -0,0 +1,155 @@
+import { CONFIG } from "./config.js";
+import { SettingsSchema } from "./SettingsSchema.js";
+
+// ============================================================================
+// PRESET LIBRARY
+// Versioned JSON format for preset files shared in a document or exported
+// ============================================================================
+
+const LIBRARY_FORMAT = "shade-perfection-presets";
+
+const REQUIRED_SETTINGS = ["hue", "saturation", "value"];
+
+export class PresetLibrary {
+  /**
+   * Serialize presets as a preset library file
+   * @param {Array<Object>} presets - Presets {id, name, settings}
+   * @returns {string} JSON text
+   */
+  static serialize(presets) {
+    return JSON.stringify(
+      {
+        format: LIBRARY_FORMAT,
+        version: CONFIG.PRESET_LIBRARY_VERSION,
+        presets: presets.map(({ id, name, settings }) => ({
+          id,
+          name,
+          settings,
+        })),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Parse and validate a preset library file. Presets without an id get one.
+   * @param {string} text - JSON text
+   * @returns {Array<Object>} Presets {id, name, settings}
+   * @throws {Error} Describes the first problem found
+   */
+  static parse(text) {
+    let library;
+    try {
+      library = JSON.parse(text);
+    } catch (e) {
+      throw new Error("Preset file is not valid JSON");
+    }
+
+    if (!this._isObject(library) || library.format !== LIBRARY_FORMAT) {
+      throw new Error("Not a Shade Perfection preset file");
+    }
+
+    const { version } = library;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error("Preset file has no valid version");
+    }
+    if (version > CONFIG.PRESET_LIBRARY_VERSION) {
+      throw new Error(
+        `Preset file version ${version} needs a newer plugin version`
+      );
+    }
+
+    if (!Array.isArray(library.presets)) {
+      throw new Error("Preset file has no presets list");
+    }
+
+    return library.presets.map((preset, index) =>
+      this._normalizePreset(preset, index)
+    );
+  }
+
+  /**
+   * Keep presets that pass validation, e.g. to load presets stored by an
+   * older plugin version. Presets without an id get one.
+   * @param {Array} presets - Stored presets
+   * @returns {Array<Object>} Valid presets {id, name, settings}
+   */
+  static filterValid(presets) {
+    return presets.flatMap((preset, index) => {
+      try {
+        return [this._normalizePreset(preset, index)];
+      } catch (e) {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Validate preset and give it an id and a trimmed name
+   * @param {*} preset - Parsed preset
+   * @param {number} index - Position in the list
+   * @returns {Object} Preset {id, name, settings}
+   * @throws {Error} Names the preset and the invalid field
+   * @private
+   */
+  static _normalizePreset(preset, index) {
+    this._validatePreset(preset, index);
+
+    return {
+      id:
+        typeof preset.id === "string" && preset.id
+          ? preset.id
+          : `${Date.now().toString(36)}-${index}`,
+      name: preset.name.trim(),
+      settings: preset.settings,
+    };
+  }
+
+  /**
+   * Check preset name, setting types and ranges
+   * @param {*} preset - Parsed preset
+   * @param {number} index - Position in the file
+   * @throws {Error} Names the preset and the invalid field
+   * @private
+   */
+  static _validatePreset(preset, index) {
+    const label = `Preset ${index + 1}`;
+
+    if (!this._isObject(preset)) {
+      throw new Error(`${label} is not an object`);
+    }
+    if (typeof preset.name !== "string" || !preset.name.trim()) {
+      throw new Error(`${label} has no name`);
+    }
+    if (!this._isObject(preset.settings)) {
+      throw new Error(`${label} "${preset.name}" has no settings`);
+    }
+
+    const missing = REQUIRED_SETTINGS.find(
+      (key) => preset.settings[key] === undefined
+    );
+    if (missing) {
+      throw new Error(`${label} "${preset.name}" is missing ${missing}`);
+    }
+
+    Object.entries(preset.settings).forEach(([key, value]) => {
+      const problem = SettingsSchema.checkSetting(key, value);
+      if (problem) {
+        throw new Error(
+          `${label} "${preset.name}" has an invalid ${key} (${problem})`
+        );
+      }
+    });
+  }
+
+  /**
+   * Check for a plain object
+   * @param {*} value - Value to check
+   * @returns {boolean} True for non-null, non-array objects
+   * @private
+   */
+  static _isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+}
@@ -1,18 +1,36 @@
-import { CONFIG, PRESET_DATA } from "./config.js";
+import { CONFIG, PRESET_DATA, HUE_SHIFT_CURVES } from "./config.js";
 import { ColorMath } from "./ColorMath.js";
 import { ColorGenerator } from "./ColorGenerator.js";
+import { PresetLibrary } from "./PresetLibrary.js";
 
 // ============================================================================
 // PRESET MANAGER
-// Manages preset color palettes
+// Manages built-in preset palettes, presets saved by the user and presets
+// shared in the current document
 // ============================================================================
 
+const PRESET_SOURCES = {
+  USER: "user",
+  FILE: "file",
+};
+
 export class PresetManager {
   constructor(state) {
     this.state = state;
     this.presets = PRESET_DATA;
     this._renderPresets();
     this._initializeEventListeners();
+
+    this.state.subscribe((changeType) => {
+      if (
+        changeType === "color-space" ||
+        changeType === "user-presets" ||
+        changeType === "file-presets"
+      ) {
+        this._renderPresets();
+        this._initializeEventListeners();
+      }
+    });
   }
 
   /**
@@ -25,12 +43,435 @@ export class PresetManager {
 
     presetsContainer.innerHTML = "";
 
+    this._renderCustomGroup(presetsContainer, PRESET_SOURCES.USER);
+    this._renderCustomGroup(presetsContainer, PRESET_SOURCES.FILE);
+
+    const resetButton = this._createButton("Reset", () =>
+      this.state.resetToDefaults()
+    );
+    resetButton.title = "Reset all settings to defaults";
+
+    presetsContainer.appendChild(
+      this._createGroupHeader("Presets", resetButton)
+    );
+
     Object.entries(this.presets).forEach(([id, preset]) => {
       const presetElement = this._createPresetElement(id, preset);
       presetsContainer.appendChild(presetElement);
     });
   }
 
+  /**
+   * Render group of editable presets with its header, hint or error
+   * @param {HTMLElement} container - Presets container
+   * @param {string} source - Preset source (see PRESET_SOURCES)
+   * @private
+   */
+  _renderCustomGroup(container, source) {
+    const isFile = source === PRESET_SOURCES.FILE;
+    const presets = this._getCustomPresets(source);
+    const error = isFile
+      ? this.state.filePresetsError
+      : this.state.userPresetsError;
+
+    const saveButton = this._createButton("Save current", () =>
+      this._saveCurrentPreset(source)
+    );
+    if (isFile && this.state.isFileLibraryUnreadable) {
+      saveButton.disabled = true;
+      saveButton.title =
+        "Saving would replace the unreadable presets. Import a preset file to replace them.";
+    }
+
+    container.appendChild(
+      this._createGroupHeader(
+        isFile ? "File presets" : "My presets",
+        saveButton
+      )
+    );
+
+    if (isFile) {
+      container.appendChild(this._createFileActions(presets));
+    }
+
+    if (error || presets.length === 0) {
+      const hint = document.createElement("div");
+      hint.className = "presets-hint";
+      hint.classList.toggle("error", Boolean(error));
+      hint.textContent =
+        error ||
+        (isFile
+          ? "Presets saved here are shared with everyone in this file"
+          : "Save the current palette to reuse it later");
+      container.appendChild(hint);
+    }
+
+    presets.forEach((preset, index) => {
+      container.appendChild(
+        this._createCustomPresetElement(source, preset, index)
+      );
+    });
+  }
+
+  /**
+   * Create group header with optional action
+   * @param {string} title - Group title
+   * @param {HTMLElement} [action] - Action button
+   * @returns {HTMLElement} Header DOM element
+   * @private
+   */
+  _createGroupHeader(title, action) {
+    const header = document.createElement("div");
+    header.className = "presets-group-header";
+
+    const label = document.createElement("span");
+    label.textContent = title;
+    header.appendChild(label);
+
+    if (action) header.appendChild(action);
+
+    return header;
+  }
+
+  /**
+   * Create secondary toolbar button
+   * @param {string} label - Button label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLElement} Button element
+   * @private
+   */
+  _createButton(label, onClick) {
+    const button = document.createElement("button");
+    button.className = "toolbar-button secondary";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  /**
+   * Create import and export actions for file presets
+   * @param {Array<Object>} presets - File presets
+   * @returns {HTMLElement} Actions DOM element
+   * @private
+   */
+  _createFileActions(presets) {
+    const actions = document.createElement("div");
+    actions.className = "presets-actions";
+
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = ".json,application/json";
+    fileInput.hidden = true;
+    fileInput.addEventListener("change", () => {
+      if (fileInput.files[0]) this._importFilePresets(fileInput.files[0]);
+    });
+
+    const exportButton = this._createButton("Export", () =>
+      this._exportFilePresets()
+    );
+    exportButton.disabled = presets.length === 0;
+
+    actions.append(
+      this._createButton("Import", () => fileInput.click()),
+      exportButton,
+      fileInput
+    );
+
+    return actions;
+  }
+
+  /**
+   * Create element for an editable preset. Names are user input, so they are
+   * set as text rather than markup.
+   * @param {string} source - Preset source (see PRESET_SOURCES)
+   * @param {Object} preset - Preset {id, name, settings}
+   * @param {number} index - Position in the list
+   * @returns {HTMLElement} Preset DOM element
+   * @private
+   */
+  _createCustomPresetElement(source, preset, index) {
+    const { settings } = preset;
+    const item = document.createElement("div");
+    item.className = "preset-item user-preset";
+    item.dataset.userPreset = preset.id;
+
+    const spectrum = document.createElement("div");
+    spectrum.className = "preset-spectrum";
+    this._generatePreviewColors({
+      color: ColorMath.hsvToHex(
+        settings.hue,
+        settings.saturation,
+        settings.value
+      ),
+      contrast: settings.contrast,
+      saturation: settings.saturationControl,
+      hueShift: settings.hueShift,
+      hueShiftCurve: settings.hueShiftCurve,
+    }).forEach((color) => {
+      const swatch = document.createElement("div");
+      swatch.className = "spectrum-color";
+      swatch.style.background = color;
+      spectrum.appendChild(swatch);
+    });
+
+    const info = document.createElement("div");
+    info.className = "preset-info";
+    info.style.background = ColorMath.getDesaturatedColor(
+      settings.hue,
+      settings.saturation,
+      settings.value,
+      settings.saturationControl
+    );
+
+    const name = document.createElement("span");
+    name.className = "preset-name";
+    name.textContent = preset.name;
+
+    const actions = document.createElement("div");
+    actions.className = "preset-actions";
+    [
+      {
+        label: "↑",
+        title: "Move up",
+        disabled: index === 0,
+        onClick: () => this._moveCustomPreset(source, index, -1),
+      },
+      {
+        label: "↓",
+        title: "Move down",
+        disabled: index === this._getCustomPresets(source).length - 1,
+        onClick: () => this._moveCustomPreset(source, index, 1),
+      },
+      {
+        label: "✎",
+        title: "Rename",
+        onClick: () => this._startRename(source, item, name, preset),
+      },
+      {
+        label: "×",
+        title: "Delete",
+        onClick: () => this._deleteCustomPreset(source, preset.id),
+      },
+    ].forEach(({ label, title, disabled, onClick }) => {
+      const button = document.createElement("button");
+      button.className = "preset-action";
+      button.textContent = label;
+      button.title = title;
+      button.disabled = Boolean(disabled);
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      actions.appendChild(button);
+    });
+
+    info.append(name, actions);
+    item.append(spectrum, info);
+
+    item.addEventListener("click", (e) => {
+      e.preventDefault();
+      if (item.classList.contains("editing")) return;
+
+      this.state.applyCustomPreset(preset);
+      this._animatePress(item);
+    });
+
+    return item;
+  }
+
+  /**
+   * Replace preset name with an input. Enter or leaving the field saves,
+   * Escape cancels.
+   * @param {string} source - Preset source (see PRESET_SOURCES)
+   * @param {HTMLElement} item - Preset element
+   * @param {HTMLElement} nameElement - Name label
+   * @param {Object} preset - Preset being renamed
+   * @private
+   */
+  _startRename(source, item, nameElement, preset) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "preset-name-input";
+    input.value = preset.name;
+
+    let isDone = false;
+    const finish = (save) => {
+      if (isDone) return;
+      isDone = true;
+
+      const name = input.value.trim();
+      if (save && name && name !== preset.name) {
+        this._renameCustomPreset(source, preset.id, name);
+      } else {
+        this._renderPresets();
+        this._initializeEventListeners();
+      }
+    };
+
+    input.addEventListener("click", (e) => e.stopPropagation());
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") finish(true);
+      if (e.key === "Escape") finish(false);
+    });
+    input.addEventListener("blur", () => finish(true));
+
+    item.classList.add("editing");
+    nameElement.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Get editable presets of a source
+   * @param {string} source - Preset source (see PRESET_SOURCES)
+   * @returns {Array<Object>} Presets in display order
+   * @private
+   */
+  _getCustomPresets(source) {
+    return source === PRESET_SOURCES.FILE
+      ? this.state.filePresets
+      : this.state.userPresets;
+  }
+
+  /**
+   * Save current palette settings as a new preset
+   * @param {string} source - Preset source (see PRESET_SOURCES)
+   * @private
+   */
+  _saveCurrentPreset(source) {
+    const presets = this._getCustomPresets(source);
+
+    this._updateCustomPresets(source, [
+      ...presets,
+      {
+        id: Date.now().toString(36),
+        name: this.state.colorName || `Preset ${presets.length + 1}`,
+        settings: this.state.getPaletteSettings(),
+      },
+    ]);
+  }
+
+  /**
+   * Rename preset
+   * @param {string} source - Preset source (see PRESET_SOURCES)
+   * @param {string} id - Preset id
+   * @param {string} name - New name
+   * @private
+   */
+  _renameCustomPreset(source, id, name) {
+    this._updateCustomPresets(
+      source,
+      this._getCustomPresets(source).map((preset) =>
+        preset.id === id ? { ...preset, name } : preset
+      )
+    );
+  }
+
+  /**
+   * Move preset up or down the list
+   * @param {string} source - Preset source (see PRESET_SOURCES)
+   * @param {number} index - Current position
+   * @param {number} offset - -1 to move up, 1 to move down
+   * @private
+   */
+  _moveCustomPreset(source, index, offset) {
+    const presets = [...this._getCustomPresets(source)];
+    const target = index + offset;
+    if (target < 0 || target >= presets.length) return;
+
+    [presets[index], presets[target]] = [presets[target], presets[index]];
+    this._updateCustomPresets(source, presets);
+  }
+
+  /**
+   * Delete preset
+   * @param {string} source - Preset source (see PRESET_SOURCES)
+   * @param {string} id - Preset id
+   * @private
+   */
+  _deleteCustomPreset(source, id) {
+    this._updateCustomPresets(
+      source,
+      this._getCustomPresets(source).filter((preset) => preset.id !== id)
+    );
+  }
+
+  /**
+   * Update presets and persist them: user presets in client storage,
+   * file presets as a preset library in the document
+   * @param {string} source - Preset source (see PRESET_SOURCES)
+   * @param {Array<Object>} presets - Presets in display order
+   * @private
+   */
+  _updateCustomPresets(source, presets) {
+    if (source === PRESET_SOURCES.FILE) {
+      this.state.setFilePresets(presets);
+
+      parent.postMessage(
+        {
+          pluginMessage: {
+            type: "save-file-presets",
+            data: PresetLibrary.serialize(presets),
+          },
+        },
+        "*"
+      );
+      return;
+    }
+
+    this.state.setUserPresets(presets);
+
+    parent.postMessage(
+      { pluginMessage: { type: "save-user-presets", presets } },
+      "*"
+    );
+  }
+
+  /**
+   * Add presets from a preset library file to the file presets. Presets with
+   * an id that already exists replace the existing ones.
+   * @param {File} file - Selected JSON file
+   * @private
+   */
+  async _importFilePresets(file) {
+    try {
+      const imported = PresetLibrary.parse(await file.text());
+      const importedIds = new Set(imported.map((preset) => preset.id));
+
+      this._updateCustomPresets(PRESET_SOURCES.FILE, [
+        ...this.state.filePresets.filter(
+          (preset) => !importedIds.has(preset.id)
+        ),
+        ...imported,
+      ]);
+    } catch (error) {
+      this.state.setFilePresets(
+        this.state.filePresets,
+        `Import failed. ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Download file presets as a preset library file
+   * @private
+   */
+  _exportFilePresets() {
+    const content = PresetLibrary.serialize(this.state.filePresets);
+    const url = URL.createObjectURL(
+      new Blob([content], { type: "application/json" })
+    );
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "Shade Perfection presets.json";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), CONFIG.EXPORT_FEEDBACK_DURATION);
+  }
+
   /**
    * Create preset element
    * @param {string} id - Preset identifier
@@ -120,6 +561,11 @@ export class PresetManager {
       smartSpacing: false,
       includeBlackWhite: false,
       saturationControl: preset.saturation,
+      colorSpace: this.state.colorSpace,
+      hueShift: {
+        amount: preset.hueShift || 0,
+        curve: preset.hueShiftCurve || HUE_SHIFT_CURVES.LINEAR,
+      },
     });
 
     return colors.map((c) => c.hex).reverse();
@@ -130,10 +576,6 @@ export class PresetManager {
    * @private
    */
   _initializeEventListeners() {
-    const scaleAnimationDuration = 100;
-    const scalePressed = 0.98;
-    const scaleNormal = 1;
-
     document.querySelectorAll(".preset-item").forEach((item) => {
       const presetId = item.dataset.preset;
       if (!presetId) return;
@@ -145,15 +587,27 @@ export class PresetManager {
         const preset = this.presets[presetId];
         if (preset) {
           this.state.applyPreset(preset);
-
-          item.style.transform = `scale(${scalePressed})`;
-          setTimeout(() => {
-            item.style.transform = `scale(${scaleNormal})`;
-          }, scaleAnimationDuration);
+          this._animatePress(item);
         }
       });
 
       item.style.cursor = "pointer";
     });
   }
+
+  /**
+   * Briefly scale down preset item as click feedback
+   * @param {HTMLElement} item - Preset element
+   * @private
+   */
+  _animatePress(item) {
+    const scaleAnimationDuration = 100;
+    const scalePressed = 0.98;
+    const scaleNormal = 1;
+
+    item.style.transform = `scale(${scalePressed})`;
+    setTimeout(() => {
+      item.style.transform = `scale(${scaleNormal})`;
+    }, scaleAnimationDuration);
+  }
 }
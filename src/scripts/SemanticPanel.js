@@ -0,0 +1,287 @@
+import { CONTRAST_THRESHOLDS } from "./config.js";
+
+// ============================================================================
+// SEMANTIC PANEL
+// Edits the semantic token mapping and previews the step each role resolves to
+// ============================================================================
+
+const BACKGROUND_KEYWORDS = ["white", "black"];
+
+export class SemanticPanel {
+  constructor(state) {
+    this.state = state;
+    this.elements = {
+      collection: document.getElementById("semanticCollection"),
+      add: document.getElementById("semanticAdd"),
+      target: document.getElementById("semanticTarget"),
+      list: document.getElementById("semanticList"),
+    };
+
+    this._initializeEventListeners();
+
+    this.state.subscribe((changeType) => this._handleStateChange(changeType));
+  }
+
+  /**
+   * Initialize collection name input and add button
+   * @private
+   */
+  _initializeEventListeners() {
+    this.elements.collection.addEventListener("input", (e) => {
+      this.state.updateImportSettings({
+        semanticCollectionName: e.target.value,
+      });
+    });
+
+    this.elements.add.addEventListener("click", () => this._addRole());
+  }
+
+  /**
+   * Handle state changes from AppState
+   * @param {string} changeType - Type of change
+   * @private
+   */
+  _handleStateChange(changeType) {
+    switch (changeType) {
+      case "colors":
+      case "name":
+      case "tab":
+      case "semantic":
+      case "workspace":
+        this._render();
+        break;
+
+      case "restore":
+        this.elements.collection.value = this.state.semanticCollectionName;
+        this._render();
+        break;
+    }
+  }
+
+  /**
+   * Add a role mapped to the middle step and focus its name
+   * @private
+   */
+  _addRole() {
+    const steps = this._getSteps();
+
+    this.state.setSemanticMapping([
+      ...this.state.semanticMapping,
+      {
+        role: "",
+        step: steps[Math.floor(steps.length / 2)] || "",
+        ratio: null,
+      },
+    ]);
+
+    const inputs = this.elements.list.querySelectorAll(".semantic-role");
+    if (inputs.length > 0) inputs[inputs.length - 1].focus();
+  }
+
+  /**
+   * Replace fields of a mapping entry
+   * @param {number} index - Entry position
+   * @param {Object} changes - Fields to replace
+   * @private
+   */
+  _updateRole(index, changes) {
+    this.state.setSemanticMapping(
+      this.state.semanticMapping.map((entry, entryIndex) =>
+        entryIndex === index ? { ...entry, ...changes } : entry
+      )
+    );
+  }
+
+  /**
+   * Remove a mapping entry
+   * @param {number} index - Entry position
+   * @private
+   */
+  _removeRole(index) {
+    this.state.setSemanticMapping(
+      this.state.semanticMapping.filter((_, entryIndex) => entryIndex !== index)
+    );
+  }
+
+  /**
+   * Get step labels of the palette tokens refer to, light end first
+   * @param {AppState} [target] - Palette tokens refer to
+   * @returns {Array<string>} Step labels
+   * @private
+   */
+  _getSteps(target = this.state.getSemanticTarget()) {
+    return target.getDisplayColors().map((color) => color.step);
+  }
+
+  /**
+   * Render mapping editor when Tokens tab is visible
+   * @private
+   */
+  _render() {
+    if (this.state.activeTab !== "tokens") return;
+
+    const target = this.state.getSemanticTarget();
+    this._renderTarget(target);
+
+    const list = this.elements.list;
+    const steps = this._getSteps(target);
+    list.innerHTML = "";
+
+    this.state.getSemanticTokens(target).forEach((token, index) => {
+      list.appendChild(this._createRoleElement(token, index, steps));
+    });
+
+    if (this.state.semanticMapping.length === 0) {
+      const hint = document.createElement("div");
+      hint.className = "presets-hint";
+      hint.textContent =
+        "Add roles such as bg/brand and map them to a step or a contrast rule";
+      list.appendChild(hint);
+    }
+  }
+
+  /**
+   * Create editor for one role: name, rule and step selects and the step
+   * it resolves to
+   * @param {Object} token - Resolved token {role, step, ratio, rule, color, error}
+   * @param {number} index - Entry position
+   * @param {Array<string>} steps - Step labels of the palette
+   * @returns {HTMLElement} Role DOM element
+   * @private
+   */
+  _createRoleElement(token, index, steps) {
+    const item = document.createElement("div");
+    item.className = "semantic-item";
+    if (!token.color) item.classList.add("error");
+
+    const swatch = document.createElement("div");
+    swatch.className = "semantic-swatch";
+    if (token.color) swatch.style.background = token.color.hex;
+
+    const role = document.createElement("input");
+    role.type = "text";
+    role.className = "semantic-role";
+    role.value = token.role;
+    role.placeholder = "bg/brand";
+    role.spellcheck = false;
+    role.addEventListener("change", (e) =>
+      this._updateRole(index, { role: e.target.value.trim() })
+    );
+
+    const remove = document.createElement("button");
+    remove.className = "semantic-remove";
+    remove.textContent = "×";
+    remove.title = "Remove";
+    remove.addEventListener("click", () => this._removeRole(index));
+
+    const header = document.createElement("div");
+    header.className = "semantic-row";
+    header.append(swatch, role, remove);
+
+    const ratios = [...CONTRAST_THRESHOLDS.wcag];
+    if (token.ratio !== null && !ratios.includes(token.ratio)) {
+      ratios.push(token.ratio);
+    }
+
+    const rule = this._createSelect(
+      [
+        { value: "", label: "Step" },
+        ...ratios.map((ratio) => ({
+          value: String(ratio),
+          label: `${ratio}:1 on`,
+        })),
+      ],
+      token.ratio === null ? "" : String(token.ratio)
+    );
+    rule.title = "Alias a step, or pick the step that reaches a contrast";
+    rule.addEventListener("change", (e) =>
+      this._changeRule(token, index, steps, e.target.value)
+    );
+
+    const stepOptions =
+      token.ratio === null ? steps : [...BACKGROUND_KEYWORDS, ...steps];
+    const step = this._createSelect(
+      stepOptions.map((value) => ({ value, label: value })),
+      token.step
+    );
+    step.title = token.ratio === null ? "Step" : "Background";
+    step.addEventListener("change", (e) =>
+      this._updateRole(index, { step: e.target.value })
+    );
+
+    const result = document.createElement("span");
+    result.className = "semantic-step";
+    result.textContent = token.color ? token.color.displayName : token.error;
+    result.title = token.rule;
+
+    const body = document.createElement("div");
+    body.className = "semantic-row";
+    body.append(rule, step, result);
+
+    item.append(header, body);
+    return item;
+  }
+
+  /**
+   * Switch a role between a plain step and a contrast rule. Switching from a
+   * white or black background to a plain step keeps the step it resolved to.
+   * @param {Object} token - Resolved token
+   * @param {number} index - Entry position
+   * @param {Array<string>} steps - Step labels of the palette
+   * @param {string} value - Ratio, empty for a plain step
+   * @private
+   */
+  _changeRule(token, index, steps, value) {
+    const ratio = value === "" ? null : Number(value);
+    let step = token.step;
+
+    if (ratio === null && !steps.includes(step)) {
+      step = token.color ? token.color.step : steps[0] || "";
+    }
+
+    this._updateRole(index, { ratio, step });
+  }
+
+  /**
+   * Create inline select. A value missing from the options, e.g. a step of
+   * a longer palette, is kept as an extra option so the error stays visible.
+   * @param {Array<Object>} options - Options {value, label}
+   * @param {string} value - Selected value
+   * @returns {HTMLSelectElement} Select element
+   * @private
+   */
+  _createSelect(options, value) {
+    const select = document.createElement("select");
+    select.className = "inline-select";
+
+    const allOptions = options.some((option) => option.value === value)
+      ? options
+      : [...options, { value, label: value }];
+
+    allOptions.forEach((option) => {
+      const element = document.createElement("option");
+      element.value = option.value;
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+
+    select.value = value;
+    return select;
+  }
+
+  /**
+   * Show which workspace palette tokens are bound to on import
+   * @param {AppState} target - Palette tokens refer to
+   * @private
+   */
+  _renderTarget(target) {
+    const hint = this.elements.target;
+    hint.hidden = this.state.workspace.length === 0;
+    if (hint.hidden) return;
+
+    const name = target.getPaletteName();
+    hint.textContent = this.state.activeWorkspaceId
+      ? `Tokens refer to ${name}, the palette being edited`
+      : `Tokens refer to ${name}, the first palette of the color system`;
+  }
+}
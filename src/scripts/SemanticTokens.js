@@ -0,0 +1,159 @@
+import { ColorMath } from "./ColorMath.js";
+
+// ============================================================================
+// SEMANTIC TOKENS
+// Maps semantic roles such as bg/brand to palette steps by step or contrast rule
+// ============================================================================
+
+const CONTRAST_RULE = /^(?:>=|≥)?\s*(\d+(?:\.\d+)?):1\s+(?:(?:on|vs)\s+)?(\S+)$/i;
+
+const BACKGROUNDS = {
+  white: "#FFFFFF",
+  black: "#000000",
+};
+
+export class SemanticTokens {
+  /**
+   * Parse mapping text with one "role: rule" per line, the format used before
+   * the mapping editor. A rule is a step label or a contrast rule such as
+   * "4.5:1 on white" or "3:1 on 100". Empty lines, lines starting with // and
+   * lines that cannot be parsed are skipped.
+   *
+   * @param {string} text - Mapping text
+   * @returns {Array<Object>} Entries, see resolve()
+   */
+  static parse(text) {
+    return text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("//"))
+      .map((line) => line.match(/^([^:=]+?)\s*[:=]\s*(.+)$/))
+      .filter(Boolean)
+      .map(([, role, rule]) => {
+        const contrast = rule.match(CONTRAST_RULE);
+
+        return contrast
+          ? { role, step: contrast[2], ratio: parseFloat(contrast[1]) }
+          : { role, step: rule, ratio: null };
+      });
+  }
+
+  /**
+   * Describe the rule of an entry, e.g. "500" or "4.5:1 on white"
+   * @param {Object} entry - Mapping entry, see resolve()
+   * @returns {string} Rule text
+   */
+  static describe(entry) {
+    return entry.ratio === null
+      ? entry.step
+      : `${entry.ratio}:1 on ${entry.step}`;
+  }
+
+  /**
+   * Resolve mapping entries against named palette colors. An entry without a
+   * ratio aliases its step; with a ratio it picks the step closest in
+   * luminance to the background (its step, "white" or "black") that still
+   * reaches the ratio.
+   *
+   * @param {Array<Object>} entries - Entries {role, step, ratio}, ratio null for a plain step
+   * @param {Array} colors - Named colors with step labels
+   * @returns {Array<Object>} Tokens {role, rule, color, error}; color is null when unresolved
+   */
+  static resolve(entries, colors) {
+    return entries.map((mapping) => {
+      const entry = { ...mapping, rule: this.describe(mapping) };
+
+      if (!entry.role.trim()) {
+        return { ...entry, color: null, error: "Role has no name" };
+      }
+
+      if (entry.ratio === null) {
+        const color = this._findStep(colors, entry.step);
+        return color
+          ? { ...entry, color }
+          : { ...entry, color: null, error: `Unknown step ${entry.step}` };
+      }
+
+      const background = this._resolveBackground(colors, entry.step);
+      if (!background) {
+        return {
+          ...entry,
+          color: null,
+          error: `Unknown background ${entry.step}`,
+        };
+      }
+
+      const color = this._findContrastStep(colors, background, entry.ratio);
+      return color
+        ? { ...entry, color }
+        : {
+            ...entry,
+            color: null,
+            error: `No step reaches ${entry.rule}`,
+          };
+    });
+  }
+
+  /**
+   * Find color by step label; numeric labels match without zero padding
+   * @param {Array} colors - Named colors
+   * @param {string} step - Step label
+   * @returns {Object|undefined} Matching color
+   * @private
+   */
+  static _findStep(colors, step) {
+    const label = step.trim().toLowerCase();
+
+    return colors.find((color) => {
+      const colorLabel = color.step.toLowerCase();
+      return (
+        colorLabel === label ||
+        (/^\d+$/.test(colorLabel) &&
+          /^\d+$/.test(label) &&
+          Number(colorLabel) === Number(label))
+      );
+    });
+  }
+
+  /**
+   * Resolve background keyword or step label
+   * @param {Array} colors - Named colors
+   * @param {string} background - "white", "black" or step label
+   * @returns {Object|null} Background {hex, color}
+   * @private
+   */
+  static _resolveBackground(colors, background) {
+    const keyword = BACKGROUNDS[background.toLowerCase()];
+    if (keyword) return { hex: keyword, color: null };
+
+    const color = this._findStep(colors, background);
+    return color ? { hex: color.hex, color } : null;
+  }
+
+  /**
+   * Find the step closest in luminance to the background that reaches the ratio
+   * @param {Array} colors - Named colors
+   * @param {Object} background - Background {hex, color}
+   * @param {number} ratio - Minimum WCAG contrast ratio
+   * @returns {Object|undefined} Matching color
+   * @private
+   */
+  static _findContrastStep(colors, background, ratio) {
+    const backgroundLuminance = ColorMath.getRelativeLuminance(background.hex);
+
+    return colors
+      .filter((color) => color !== background.color)
+      .map((color) => ({
+        color,
+        distance: Math.abs(
+          ColorMath.getRelativeLuminance(color.hex) - backgroundLuminance
+        ),
+      }))
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ color }) => color)
+      .find(
+        (color) =>
+          ColorMath.getContrastRatio(color.hex, background.hex) >= ratio
+      );
+  }
+}
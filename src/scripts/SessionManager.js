@@ -0,0 +1,59 @@
+import { CONFIG } from "./config.js";
+
+// ============================================================================
+// SESSION MANAGER
+// Saves the UI state to client storage and restores it on the next launch
+// ============================================================================
+
+export class SessionManager {
+  constructor(state) {
+    this.state = state;
+    this.isRestored = false;
+    this.saveTimeout = null;
+
+    this._initializePluginMessages();
+
+    this.state.subscribe(() => this._scheduleSave());
+  }
+
+  /**
+   * Listen for the saved session sent by the plugin at startup
+   * @private
+   */
+  _initializePluginMessages() {
+    window.addEventListener("message", (event) => {
+      const message = event.data && event.data.pluginMessage;
+      if (!message || message.type !== "session") return;
+
+      try {
+        if (message.session && this.state.applySessionState(message.session)) {
+          this.state.resetHistory();
+        }
+      } finally {
+        this.isRestored = true;
+      }
+    });
+  }
+
+  /**
+   * Save session once changes settle. Nothing is saved before the stored
+   * session has been restored, so startup defaults never overwrite it.
+   * @private
+   */
+  _scheduleSave() {
+    if (!this.isRestored) return;
+
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = setTimeout(() => {
+      parent.postMessage(
+        {
+          pluginMessage: {
+            type: "save-session",
+            session: this.state.getSessionState(),
+          },
+        },
+        "*"
+      );
+    }, CONFIG.SESSION_SAVE_DELAY);
+  }
+}
@@ -0,0 +1,235 @@
+import {
+  CONFIG,
+  COLOR_SPACES,
+  CONTRAST_MODES,
+  DARK_MODES,
+  HUE_SHIFT_CURVES,
+  IMPORT_MODES,
+  NAMING_SCHEMES,
+  TARGET_TYPES,
+  VARIABLE_SCOPES,
+} from "./config.js";
+
+// ============================================================================
+// SETTINGS SCHEMA
+// Types and ranges of palette settings and session values loaded from
+// storage, frames and preset files
+// ============================================================================
+
+const HEX_PATTERN = /^#[0-9A-F]{6}$/i;
+
+// Rules: type ("number", "integer", "string", "boolean", "array", "object"),
+// min/max for numbers, oneOf for fixed values, nullable, items for array
+// elements, values for object values and properties for object fields
+const PALETTE_SETTINGS = {
+  name: { type: "string" },
+  hue: { type: "number", min: 0, max: 360 },
+  saturation: { type: "number", min: 0, max: 100 },
+  value: { type: "number", min: 0, max: 100 },
+  saturationControl: {
+    type: "number",
+    min: CONFIG.SATURATION_MIN,
+    max: CONFIG.SATURATION_MAX,
+  },
+  colorCount: {
+    type: "integer",
+    min: CONFIG.COLOR_COUNT_MIN,
+    max: CONFIG.COLOR_COUNT_MAX,
+  },
+  contrast: {
+    type: "number",
+    min: CONFIG.CONTRAST_MIN,
+    max: CONFIG.CONTRAST_MAX,
+  },
+  colorSpace: { oneOf: Object.values(COLOR_SPACES) },
+  targetType: { oneOf: Object.values(TARGET_TYPES), nullable: true },
+  targetValues: { type: "array", items: { type: "number" } },
+  namingScheme: { oneOf: Object.values(NAMING_SCHEMES) },
+  customSteps: { type: "array", items: { type: "string" } },
+  zeroPadSteps: { type: "boolean" },
+  selectedStep: { type: "string", nullable: true },
+  anchors: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        step: { type: "string" },
+        hex: { type: "string", pattern: HEX_PATTERN },
+      },
+    },
+  },
+  hueShift: {
+    type: "number",
+    min: CONFIG.HUE_SHIFT_MIN,
+    max: CONFIG.HUE_SHIFT_MAX,
+  },
+  hueShiftCurve: { oneOf: Object.values(HUE_SHIFT_CURVES) },
+  darkMode: { oneOf: Object.values(DARK_MODES) },
+  features: { type: "object", values: { type: "boolean" } },
+};
+
+const SESSION_VALUES = {
+  paletteId: { type: "string" },
+  importMode: { oneOf: Object.values(IMPORT_MODES) },
+  collectionName: { type: "string" },
+  groupPrefix: { type: "string" },
+  variableScopes: { oneOf: Object.values(VARIABLE_SCOPES) },
+  overwriteScopes: { type: "boolean" },
+  codeSyntax: { type: "object", values: { type: "string" } },
+  semanticMapping: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        role: { type: "string" },
+        step: { type: "string" },
+        ratio: {
+          type: "number",
+          min: CONFIG.TARGET_CONTRAST_MIN,
+          max: CONFIG.TARGET_CONTRAST_MAX,
+          nullable: true,
+        },
+      },
+    },
+  },
+  semanticCollectionName: { type: "string" },
+  contrastMode: { oneOf: Object.values(CONTRAST_MODES) },
+  contrastBackground: { type: "integer", min: 0, nullable: true },
+  contrastThresholds: { type: "object", values: { type: "number" } },
+  workspace: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        settings: { type: "object" },
+      },
+    },
+  },
+  activeWorkspaceId: { type: "string", nullable: true },
+  shareWorkspaceSettings: { type: "boolean" },
+  activeTab: { oneOf: ["result", "presets", "contrast", "export", "tokens"] },
+};
+
+export class SettingsSchema {
+  /**
+   * Check a palette setting, see AppState.getPaletteSettings()
+   * @param {string} key - Setting name
+   * @param {*} value - Setting value
+   * @returns {string|null} Problem such as "must be between 1 and 50", or
+   *   null if the value is valid or the setting unknown
+   */
+  static checkSetting(key, value) {
+    return PALETTE_SETTINGS[key]
+      ? this._check(value, PALETTE_SETTINGS[key])
+      : null;
+  }
+
+  /**
+   * Check a session value other than the palette settings, see
+   * AppState.getSessionState()
+   * @param {string} key - Session field
+   * @param {*} value - Field value
+   * @returns {string|null} Problem, or null if the value is valid or the
+   *   field unknown
+   */
+  static checkSessionValue(key, value) {
+    return SESSION_VALUES[key] ? this._check(value, SESSION_VALUES[key]) : null;
+  }
+
+  /**
+   * Check value against a rule, including array elements and object fields
+   * @param {*} value - Value to check
+   * @param {Object} rule - Rule from PALETTE_SETTINGS or SESSION_VALUES
+   * @returns {string|null} Problem, or null if the value is valid
+   * @private
+   */
+  static _check(value, rule) {
+    if (value === null) {
+      return rule.nullable ? null : "must not be empty";
+    }
+
+    if (rule.oneOf) {
+      return rule.oneOf.includes(value)
+        ? null
+        : `must be one of ${rule.oneOf.join(", ")}`;
+    }
+
+    if (!this._matchesType(value, rule.type)) {
+      return `expected ${rule.type}`;
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+      return rule.max === undefined
+        ? `must be at least ${rule.min}`
+        : `must be between ${rule.min} and ${rule.max}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `must be between ${rule.min} and ${rule.max}`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return "has an invalid format";
+    }
+
+    return this._checkChildren(value, rule);
+  }
+
+  /**
+   * Check array elements, object values and object fields
+   * @param {Array|Object} value - Value of a valid type
+   * @param {Object} rule - Rule of the value
+   * @returns {string|null} Problem naming the element, or null if valid
+   * @private
+   */
+  static _checkChildren(value, rule) {
+    const children = [];
+
+    if (rule.items) {
+      value.forEach((item, index) =>
+        children.push([`item ${index + 1}`, item, rule.items])
+      );
+    }
+    if (rule.values) {
+      Object.entries(value).forEach(([key, item]) =>
+        children.push([key, item, rule.values])
+      );
+    }
+    if (rule.properties) {
+      Object.entries(rule.properties).forEach(([key, childRule]) =>
+        children.push([key, value[key], childRule])
+      );
+    }
+
+    for (const [label, child, childRule] of children) {
+      const error =
+        child === undefined ? "is missing" : this._check(child, childRule);
+      if (error) return `${label} ${error}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check value against a type name
+   * @param {*} value - Value to check
+   * @param {string} type - Type name of a rule
+   * @returns {boolean} True if value has the type
+   * @private
+   */
+  static _matchesType(value, type) {
+    switch (type) {
+      case "number":
+        return typeof value === "number" && Number.isFinite(value);
+      case "integer":
+        return Number.isInteger(value);
+      case "array":
+        return Array.isArray(value);
+      case "object":
+        return (
+          typeof value === "object" && value !== null && !Array.isArray(value)
+        );
+      default:
+        return typeof value === type;
+    }
+  }
+}
@@ -290,4 +290,41 @@ export class SuperellipseMath {
 
     return curvePoints[curvePoints.length - 1];
   }
+
+  /**
+   * Finds the point on the curve at a lightness. Lightness grows along the
+   * curve, so every lightness in range maps to one arc length.
+   *
+   * @param {number} targetY - Target Y coordinate (0-1)
+   * @param {Array} curvePoints - Array of curve points
+   * @returns {Object} Point {x, y, normalizedArcLength}, clamped to the curve ends
+   */
+  static findPointAtY(targetY, curvePoints) {
+    const first = curvePoints[0];
+    const last = curvePoints[curvePoints.length - 1];
+    if (targetY <= first.y) return first;
+    if (targetY >= last.y) return last;
+
+    for (let i = 1; i < curvePoints.length; i++) {
+      const prevPoint = curvePoints[i - 1];
+      const currPoint = curvePoints[i];
+
+      if (targetY >= prevPoint.y && targetY <= currPoint.y) {
+        const t =
+          currPoint.y === prevPoint.y
+            ? 0
+            : (targetY - prevPoint.y) / (currPoint.y - prevPoint.y);
+
+        return {
+          x: prevPoint.x + t * (currPoint.x - prevPoint.x),
+          y: targetY,
+          normalizedArcLength:
+            prevPoint.normalizedArcLength +
+            t * (currPoint.normalizedArcLength - prevPoint.normalizedArcLength),
+        };
+      }
+    }
+
+    return last;
+  }
 }
@@ -1,4 +1,10 @@
-import { CONFIG, FEATURE_TOOLTIPS } from "./config.js";
+import {
+  CONFIG,
+  FEATURE_TOOLTIPS,
+  CONTRAST_MODES,
+  TARGET_TYPES,
+  NAMING_SCHEMES,
+} from "./config.js";
 import { ColorMath } from "./ColorMath.js";
 import { ColorGenerator } from "./ColorGenerator.js";
 import { ColorPickerController } from "./ColorPickerController.js";
@@ -44,7 +50,33 @@ export class UIController {
       colorSuffix: document.getElementById("colorSuffix"),
       contrastInput: document.getElementById("contrastInput"),
       colorCount: document.getElementById("colorCount"),
+      colorSpace: document.getElementById("colorSpace"),
+      selectedStep: document.getElementById("selectedStep"),
+      namingScheme: document.getElementById("namingScheme"),
+      customSteps: document.getElementById("customSteps"),
+      zeroPad: document.getElementById("zeroPad"),
+      targetType: document.getElementById("targetType"),
+      targetValues: document.getElementById("targetValues"),
+      anchors: document.getElementById("anchors"),
+      hueShift: document.getElementById("hueShift"),
+      hueShiftCurve: document.getElementById("hueShiftCurve"),
+      importMode: document.getElementById("importMode"),
+      darkMode: document.getElementById("darkMode"),
+      collectionName: document.getElementById("collectionName"),
+      collectionOptions: document.getElementById("collectionOptions"),
+      collectionModes: document.getElementById("collectionModes"),
+      groupPrefix: document.getElementById("groupPrefix"),
+      variableScopes: document.getElementById("variableScopes"),
+      overwriteScopes: document.getElementById("overwriteScopes"),
+      codeSyntaxPlatform: document.getElementById("codeSyntaxPlatform"),
+      codeSyntaxTemplate: document.getElementById("codeSyntaxTemplate"),
       colorsList: document.getElementById("colorsList"),
+      resultView: document.getElementById("resultView"),
+      contrastView: document.getElementById("contrastView"),
+      exportView: document.getElementById("exportView"),
+      tokensView: document.getElementById("tokensView"),
+      contrastMode: document.getElementById("contrastMode"),
+      contrastBackground: document.getElementById("contrastBackground"),
       presetsList: document.getElementById("presetsList"),
       importButton: document.getElementById("importButton"),
       hueSlider: document.getElementById("hueSlider"),
@@ -69,8 +101,67 @@ export class UIController {
     this._initializeColorInputs();
     this._initializeNumericInputs();
     this._initializeTabSwitching();
+    this._initializeContrastOptions();
     this._initializeImportButton();
     this._initializeInputValidation();
+    this._initializePluginMessages();
+  }
+
+  /**
+   * Listen for messages sent from the plugin
+   * @private
+   */
+  _initializePluginMessages() {
+    window.addEventListener("message", (event) => {
+      const message = event.data && event.data.pluginMessage;
+      if (!message) return;
+
+      switch (message.type) {
+        case "collections":
+          this.state.setCollections(message.collections);
+          break;
+
+        case "palette-settings":
+          this.state.applyPaletteFrame(message.paletteId, message.settings);
+          break;
+
+        case "contrast-matrix-created":
+          this.state.setMatrixError(
+            message.success
+              ? null
+              : `Matrix could not be added to the canvas. ${message.error}`
+          );
+          break;
+
+        case "user-presets":
+          this.state.loadUserPresets(message.presets);
+          break;
+
+        case "user-presets-saved":
+          // The plugin sends the stored presets first, so the list is rolled back
+          if (!message.success) {
+            this.state.setUserPresets(
+              this.state.userPresets,
+              `Presets could not be saved. ${message.error}`
+            );
+          }
+          break;
+
+        case "file-presets":
+          this.state.loadFilePresets(message.data);
+          break;
+
+        case "file-presets-saved":
+          // The plugin sends the stored library first, so the list is rolled back
+          if (!message.success) {
+            this.state.setFilePresets(
+              this.state.filePresets,
+              `File presets could not be saved. ${message.error}`
+            );
+          }
+          break;
+      }
+    });
   }
 
   /**
@@ -96,9 +187,12 @@ export class UIController {
     });
 
     this.elements.colorName.addEventListener("input", (e) => {
-      this.state.colorName = e.target.value.trim();
-      this.elements.importButton.disabled = !this.state.colorName;
-      this._updateColorsList();
+      this.state.setColorName(e.target.value.trim());
+      this._updateImportButton();
+    });
+
+    this.elements.colorSpace.addEventListener("change", (e) => {
+      this.state.setColorSpace(e.target.value);
     });
   }
 
@@ -130,6 +224,244 @@ export class UIController {
 
       this._regenerateColors();
     });
+
+    this.elements.namingScheme.addEventListener("change", (e) => {
+      this.elements.customSteps.disabled =
+        e.target.value !== NAMING_SCHEMES.CUSTOM;
+      this._updateNaming({ namingScheme: e.target.value });
+    });
+
+    this.elements.customSteps.addEventListener("input", (e) => {
+      this._updateNaming({
+        customSteps: e.target.value
+          .split(/[\s,;]+/)
+          .filter((step) => step !== ""),
+      });
+    });
+
+    this.elements.zeroPad.addEventListener("click", (e) => {
+      e.currentTarget.classList.toggle("active");
+      this._updateNaming({
+        zeroPadSteps: e.currentTarget.classList.contains("active"),
+      });
+    });
+
+    this.elements.selectedStep.addEventListener("change", (e) => {
+      if (e.target.value && this.state.features.smartSpacing) {
+        this._toggleFeatureButton("smartSpacing", false);
+      }
+
+      this.state.updateSettings({ selectedStep: e.target.value || null });
+      this._updateDistributionControlsState();
+    });
+
+    this.elements.targetType.addEventListener("change", (e) => {
+      this.state.updateSettings({
+        targetType: e.target.value || null,
+        targetValues: this._parseTargetValues(
+          this.elements.targetValues.value,
+          e.target.value
+        ),
+      });
+      this._updateDistributionControlsState();
+    });
+
+    this.elements.targetValues.addEventListener("input", (e) => {
+      this.state.updateSettings({
+        targetValues: this._parseTargetValues(
+          e.target.value,
+          this.state.targetType
+        ),
+      });
+    });
+
+    this.elements.anchors.addEventListener("input", (e) => {
+      this.state.updateSettings({
+        anchors: this._parseAnchors(e.target.value),
+      });
+      this._updateDistributionControlsState();
+    });
+
+    this.elements.hueShift.addEventListener("input", (e) => {
+      const value = parseFloat(e.target.value);
+      if (isNaN(value)) return;
+
+      this.state.updateSettings({
+        hueShift: Math.max(
+          CONFIG.HUE_SHIFT_MIN,
+          Math.min(CONFIG.HUE_SHIFT_MAX, value)
+        ),
+      });
+    });
+
+    this.elements.hueShiftCurve.addEventListener("change", (e) => {
+      this.state.updateSettings({ hueShiftCurve: e.target.value });
+    });
+
+    this.elements.importMode.addEventListener("change", (e) => {
+      this.state.updateSettings({ importMode: e.target.value });
+      this._updateImportControlsState();
+    });
+
+    this.elements.darkMode.addEventListener("change", (e) => {
+      this.state.updateSettings({ darkMode: e.target.value });
+    });
+
+    this.elements.collectionName.addEventListener("input", (e) => {
+      this.state.updateImportSettings({ collectionName: e.target.value });
+      this._updateCollectionModes();
+    });
+
+    this.elements.groupPrefix.addEventListener("input", (e) => {
+      this.state.updateImportSettings({ groupPrefix: e.target.value });
+    });
+
+    this.elements.variableScopes.addEventListener("change", (e) => {
+      this.state.updateImportSettings({ variableScopes: e.target.value });
+    });
+
+    this.elements.overwriteScopes.addEventListener("click", (e) => {
+      e.currentTarget.classList.toggle("active");
+      this.state.updateImportSettings({
+        overwriteScopes: e.currentTarget.classList.contains("active"),
+      });
+    });
+
+    this.elements.codeSyntaxPlatform.addEventListener("change", (e) => {
+      this.elements.codeSyntaxTemplate.value =
+        this.state.codeSyntax[e.target.value];
+    });
+
+    this.elements.codeSyntaxTemplate.addEventListener("input", (e) => {
+      this.state.updateImportSettings({
+        codeSyntax: {
+          ...this.state.codeSyntax,
+          [this.elements.codeSyntaxPlatform.value]: e.target.value,
+        },
+      });
+    });
+  }
+
+  /**
+   * Parse comma separated target list, dropping values outside the valid range
+   * @param {string} input - Raw input string
+   * @param {string} targetType - Target type (see TARGET_TYPES)
+   * @returns {Array<number>} Target values
+   * @private
+   */
+  _parseTargetValues(input, targetType) {
+    const [min, max] =
+      targetType === TARGET_TYPES.LUMINANCE
+        ? [0, 1]
+        : [CONFIG.TARGET_CONTRAST_MIN, CONFIG.TARGET_CONTRAST_MAX];
+
+    return input
+      .split(/[\s,;]+/)
+      .map((value) => parseFloat(value))
+      .filter((value) => !isNaN(value) && value >= min && value <= max);
+  }
+
+  /**
+   * Update step naming settings. A pinned selected step is carried over to the
+   * label at the same position so the selected color does not move.
+   * @param {Object} naming - Naming settings to update
+   * @private
+   */
+  _updateNaming(naming) {
+    const count = this.state.colorCount;
+    const previousLabels = ColorGenerator.getStepLabels(
+      count,
+      this.state.getNamingOptions()
+    );
+    const pinnedIndex = previousLabels.indexOf(this.state.selectedStep);
+
+    Object.assign(this.state, naming);
+
+    const selectedStep =
+      pinnedIndex === -1
+        ? null
+        : ColorGenerator.getStepLabels(count, this.state.getNamingOptions())[
+            pinnedIndex
+          ];
+
+    this.state.updateSettings({ selectedStep });
+  }
+
+  /**
+   * Parse comma separated "step #hex" anchor list, skipping malformed entries
+   * @param {string} input - Raw input string
+   * @returns {Array<Object>} Anchors {step, hex}
+   * @private
+   */
+  _parseAnchors(input) {
+    return input
+      .split(/[,;]+/)
+      .map((entry) =>
+        entry.trim().match(/^(\S+?)\s*[:=\s]\s*#?([0-9a-f]{6})$/i)
+      )
+      .filter(Boolean)
+      .map(([, step, hex]) => ({
+        step,
+        hex: `#${hex.toUpperCase()}`,
+      }));
+  }
+
+  /**
+   * Disable count and contrast inputs while targets, anchors or Smart Spacing
+   * define the shade distribution
+   * @private
+   */
+  _updateDistributionControlsState() {
+    const isTargetMode = Boolean(this.state.targetType);
+    const countContainer = this.elements.colorCount.closest(".contrast-input");
+    const contrastContainer =
+      this.elements.contrastInput.closest(".contrast-input");
+
+    this.elements.targetValues.disabled = !isTargetMode;
+    this.elements.anchors.disabled = isTargetMode;
+    this.elements.anchors
+      .closest(".contrast-input")
+      .classList.toggle("disabled", isTargetMode);
+    this.elements.colorCount.disabled = isTargetMode;
+    countContainer.classList.toggle("disabled", isTargetMode);
+
+    if (
+      isTargetMode ||
+      this.state.anchors.length > 0 ||
+      this.state.features.smartSpacing
+    ) {
+      this.elements.contrastInput.disabled = true;
+      contrastContainer.classList.add("disabled");
+    } else {
+      this.elements.contrastInput.disabled = false;
+      contrastContainer.classList.remove("disabled");
+    }
+
+    this._updateDragControlsState();
+  }
+
+  /**
+   * Enable import settings that apply to the chosen binding. Group applies to
+   * both variables and styles; the rest only to variables.
+   * @private
+   */
+  _updateImportControlsState() {
+    const isBound = this.state.features.importWithVariables;
+    const usesVariables = this.state.usesVariables();
+
+    this.elements.importMode.disabled = !isBound;
+    this.elements.groupPrefix.disabled = !isBound;
+
+    [
+      this.elements.darkMode,
+      this.elements.collectionName,
+      this.elements.variableScopes,
+      this.elements.overwriteScopes,
+      this.elements.codeSyntaxPlatform,
+      this.elements.codeSyntaxTemplate,
+    ].forEach((element) => {
+      element.disabled = !usesVariables;
+    });
   }
 
   /**
@@ -144,6 +476,21 @@ export class UIController {
     });
   }
 
+  /**
+   * Initialize contrast mode and background selects
+   * @private
+   */
+  _initializeContrastOptions() {
+    this.elements.contrastMode.addEventListener("change", (e) => {
+      this.state.updateSettings({ contrastMode: e.target.value });
+    });
+
+    this.elements.contrastBackground.addEventListener("change", (e) => {
+      const index = e.target.value === "" ? null : parseInt(e.target.value);
+      this.state.updateSettings({ contrastBackground: index });
+    });
+  }
+
   /**
    * Initialize import button
    * @private
@@ -167,6 +514,7 @@ export class UIController {
     switch (feature) {
       case "variables":
         this.state.setFeature("importWithVariables", isActive);
+        this._updateImportControlsState();
         break;
 
       case "reverse":
@@ -182,19 +530,13 @@ export class UIController {
       case "smartSpacing":
         this.state.setFeature("smartSpacing", isActive);
 
-        const contrastContainer =
-          this.elements.contrastInput.closest(".contrast-input");
         if (isActive) {
           this.state.contrast = 1.0;
           this.elements.contrastInput.value = "1.0";
-          this.elements.contrastInput.disabled = true;
-          contrastContainer.classList.add("disabled");
-        } else {
-          this.elements.contrastInput.disabled = false;
-          contrastContainer.classList.remove("disabled");
+          this.state.selectedStep = null;
         }
 
-        this._updateDragControlsState();
+        this._updateDistributionControlsState();
         this._regenerateColors();
         break;
 
@@ -278,9 +620,24 @@ export class UIController {
         this._regenerateColors();
         break;
 
+      case "color-space":
+        this.colorPicker.drawCurve();
+        this.colorPicker.drawDesaturatedCurve();
+        this._regenerateColors();
+        break;
+
+      case "collections":
+        this._renderCollectionOptions();
+        break;
+
+      case "name":
+        this._updateColorsList();
+        break;
+
       case "colors":
         this.colorPicker.drawDistributionPoints();
         this.colorPicker.drawDesaturatedDistributionPoints();
+        this.colorPicker.drawHueShiftMarkers();
         this._updateColorsList();
         break;
 
@@ -291,19 +648,113 @@ export class UIController {
       case "preset":
         this.elements.colorName.value = this.state.colorName;
         this.elements.contrastInput.value = this.state.contrast;
-        this.elements.importButton.disabled = false;
-
-        const contrastContainer =
-          this.elements.contrastInput.closest(".contrast-input");
-        this.elements.contrastInput.disabled = false;
-        contrastContainer.classList.remove("disabled");
+        this.elements.hueShift.value = this.state.hueShift;
+        this.elements.hueShiftCurve.value = this.state.hueShiftCurve;
+        this._updateImportButton();
 
         this.colorPicker.updateSaturationSlider();
         this.colorPicker.drawDesaturatedCurve();
-        this._updateDragControlsState();
+        this._updateDistributionControlsState();
+        this._regenerateColors();
+        break;
+
+      case "restore":
+        this._syncControls();
         this._regenerateColors();
+
+        if (
+          !document.querySelector(
+            `.toggle-button.active[data-tab="${this.state.activeTab}"]`
+          )
+        ) {
+          this._switchTab(this.state.activeTab);
+        }
         break;
+
+      case "workspace":
+        this._updateImportButton();
+        break;
+    }
+  }
+
+  /**
+   * Label import button for the current palette or the whole workspace.
+   * A single palette needs a name, workspace palettes need unique names.
+   * @private
+   */
+  _updateImportButton() {
+    const button = this.elements.importButton;
+    const count = this.state.workspace.length;
+
+    if (count === 0) {
+      button.textContent = "Import to Figma";
+      button.disabled = !this.state.colorName;
+      return;
     }
+
+    button.textContent = `Import ${count} ${count === 1 ? "palette" : "palettes"}`;
+    button.disabled = Boolean(this.state.getWorkspaceError());
+  }
+
+  /**
+   * Write restored state back into every generation and import control
+   * @private
+   */
+  _syncControls() {
+    const state = this.state;
+    const featureKeys = {
+      variables: "importWithVariables",
+      reverse: "reverseOrder",
+      blackwhite: "includeBlackWhite",
+      smartSpacing: "smartSpacing",
+      rgb: "rgbFormat",
+    };
+
+    document.querySelectorAll(".feature-toggle").forEach((toggle) => {
+      toggle.classList.toggle(
+        "active",
+        state.features[featureKeys[toggle.dataset.feature]]
+      );
+    });
+
+    this.elements.colorName.value = state.colorName;
+    this.elements.colorSpace.value = state.colorSpace;
+    this.elements.colorCount.value = state.colorCount;
+    this.elements.contrastInput.value = state.contrast;
+    this.elements.namingScheme.value = state.namingScheme;
+    this.elements.customSteps.value = state.customSteps.join(", ");
+    this.elements.customSteps.disabled =
+      state.namingScheme !== NAMING_SCHEMES.CUSTOM;
+    this.elements.zeroPad.classList.toggle("active", state.zeroPadSteps);
+    this.elements.targetType.value = state.targetType || "";
+    this.elements.targetValues.value = state.targetValues.join(", ");
+    this.elements.anchors.value = state.anchors
+      .map((anchor) => `${anchor.step} ${anchor.hex}`)
+      .join(", ");
+    this.elements.hueShift.value = state.hueShift;
+    this.elements.hueShiftCurve.value = state.hueShiftCurve;
+    this.elements.darkMode.value = state.darkMode;
+    this.elements.importMode.value = state.importMode;
+    this.elements.collectionName.value = state.collectionName;
+    this.elements.groupPrefix.value = state.groupPrefix;
+    this.elements.variableScopes.value = state.variableScopes;
+    this.elements.overwriteScopes.classList.toggle(
+      "active",
+      state.overwriteScopes
+    );
+    this.elements.codeSyntaxTemplate.value =
+      state.codeSyntax[this.elements.codeSyntaxPlatform.value];
+    this.elements.contrastMode.value = state.contrastMode;
+    this._updateImportButton();
+
+    this._updateColorDisplay();
+    this.colorPicker.updateVisuals();
+    this.colorPicker.updateSaturationSlider();
+    this.colorPicker.drawCurve();
+    this.colorPicker.drawDesaturatedCurve();
+    this._updateDistributionControlsState();
+    this._updateImportControlsState();
+    this._updateCollectionModes();
   }
 
   /**
@@ -311,16 +762,9 @@ export class UIController {
    * @private
    */
   _regenerateColors() {
-    const { colors, curvePoints } = ColorGenerator.generatePalette({
-      hue: this.state.hue,
-      saturation: this.state.saturation,
-      value: this.state.value,
-      colorCount: this.state.colorCount,
-      contrast: this.state.contrast,
-      smartSpacing: this.state.features.smartSpacing,
-      includeBlackWhite: this.state.features.includeBlackWhite,
-      saturationControl: this.state.saturationControl,
-    });
+    const { colors, curvePoints } = ColorGenerator.generatePalette(
+      this.state.getGenerationParams()
+    );
 
     this.state.updateGeneratedColors(colors, curvePoints);
   }
@@ -354,9 +798,14 @@ export class UIController {
     const baseName = this.state.colorName || "Color";
     const namedColors = ColorGenerator.generateColorNames(
       this.state.generatedColors,
-      baseName
+      baseName,
+      this.state.getNamingOptions()
     );
 
+    this._updateContrastBackgroundOptions(namedColors);
+    this._updateSelectedStepOptions();
+    this._updateFieldErrors(namedColors);
+
     let colorsToShow = [...namedColors];
     if (!this.state.features.reverseOrder) {
       colorsToShow.reverse();
@@ -366,6 +815,7 @@ export class UIController {
       const item = document.createElement("div");
       item.className = "color-preview-item";
       if (color.isSelected) item.classList.add("selected");
+      if (color.isAnchor) item.classList.add("anchor");
 
       let displayValue = color.hex;
       if (this.state.features.rgbFormat) {
@@ -373,84 +823,328 @@ export class UIController {
         displayValue = `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
       }
 
-      const textColor = ColorMath.getContrastTextColor(color.hex);
+      const textColor = ColorMath.getContrastTextColor(
+        color.hex,
+        this.state.contrastMode
+      );
+      const contrastBadges = this._getContrastInfo(color.hex)
+        .map(
+          (info) => `
+              <span class="contrast-badge">
+                <span class="contrast-swatch" style="background:${info.swatch}"></span>
+                ${info.value}
+                ${info.level ? `<span class="contrast-level">${info.level}</span>` : ""}
+              </span>`
+        )
+        .join("");
 
       item.innerHTML = `
-            <span class="color-name" style="color:${textColor}">${color.displayName}</span>
+            <div class="color-info">
+              <span class="color-name" style="color:${textColor}">${color.displayName}</span>
+              <span class="color-contrast" style="color:${textColor}">${contrastBadges}</span>
+            </div>
             <span class="color-hex" style="color:${textColor}">${displayValue}</span>
           `;
       item.style.backgroundColor = color.hex;
+      item.style.setProperty("--marker-color", textColor);
 
       this.elements.colorsList.appendChild(item);
     });
   }
 
   /**
-   * Switch between tabs (Result/Presets)
-   * @param {string} tab - Tab name ('result' or 'presets')
+   * Rebuild contrast background select from current shades
+   * @param {Array} namedColors - Colors with display names
    * @private
    */
-  _switchTab(tab) {
-    const slide = this.elements.toggleSlide;
-    const resultBtn = document.querySelector(".result-button");
-    const presetsBtn = document.querySelector(".resources-button");
-    const colorsList = this.elements.colorsList;
-    const presetsList = this.elements.presetsList;
-    const slideOffset = 102;
-
-    if (tab === "result") {
-      slide.style.transform = "translateX(0)";
-      resultBtn.classList.add("active");
-      presetsBtn.classList.remove("active");
-
-      presetsList.style.opacity = "0";
-      setTimeout(() => {
-        presetsList.style.display = "none";
-        colorsList.style.display = "flex";
-        colorsList.style.opacity = "0";
-        setTimeout(() => (colorsList.style.opacity = "1"), 10);
-      }, CONFIG.TAB_TRANSITION_DELAY);
-    } else {
-      slide.style.transform = `translateX(${slideOffset}px)`;
-      resultBtn.classList.remove("active");
-      presetsBtn.classList.add("active");
-
-      colorsList.style.opacity = "0";
-      setTimeout(() => {
-        colorsList.style.display = "none";
-        presetsList.style.display = "flex";
-        presetsList.style.opacity = "0";
-        setTimeout(() => (presetsList.style.opacity = "1"), 10);
-      }, CONFIG.TAB_TRANSITION_DELAY);
+  _updateContrastBackgroundOptions(namedColors) {
+    const select = this.elements.contrastBackground;
+
+    if (
+      this.state.contrastBackground !== null &&
+      !namedColors[this.state.contrastBackground]
+    ) {
+      this.state.contrastBackground = null;
+    }
+
+    let colorsToShow = namedColors.map((color, index) => ({ color, index }));
+    if (!this.state.features.reverseOrder) {
+      colorsToShow.reverse();
     }
 
-    this.state.activeTab = tab;
+    select.innerHTML = [
+      `<option value="">On white / black</option>`,
+      ...colorsToShow.map(
+        ({ color, index }) =>
+          `<option value="${index}">On ${color.displayName}</option>`
+      ),
+    ].join("");
+    select.value =
+      this.state.contrastBackground === null
+        ? ""
+        : String(this.state.contrastBackground);
   }
 
   /**
-   * Export palette to Figma
+   * Mark step and anchor inputs that cannot be used for the current palette
+   * @param {Array<Object>} namedColors - Colors with step names
    * @private
    */
-  _exportToFigma() {
-    const baseName = this.state.colorName.trim() || "Color";
-    const namedColors = ColorGenerator.generateColorNames(
-      this.state.generatedColors,
-      baseName
+  _updateFieldErrors(namedColors) {
+    const { namingScheme, customSteps, colorCount, anchors, targetType } =
+      this.state;
+
+    this._setFieldError(
+      this.elements.customSteps,
+      namingScheme === NAMING_SCHEMES.CUSTOM
+        ? ColorGenerator.validateCustomSteps(customSteps, colorCount)
+        : null
+    );
+    this._setFieldError(
+      this.elements.anchors,
+      targetType ? null : ColorGenerator.validateAnchors(anchors, namedColors)
     );
+  }
+
+  /**
+   * Outline an input in red and explain the problem in its tooltip
+   * @param {HTMLInputElement} input - Input inside a .contrast-input field
+   * @param {string|null} message - Error message, or null when valid
+   * @private
+   */
+  _setFieldError(input, message) {
+    const field = input.closest(".contrast-input");
+    field.classList.toggle("error", Boolean(message));
+    input.title = message || "";
+  }
+
+  /**
+   * Rebuild selected step select for the current color count.
+   * Resets to Auto when the pinned step no longer exists.
+   * @private
+   */
+  _updateSelectedStepOptions() {
+    const select = this.elements.selectedStep;
+    const stepLabels = ColorGenerator.getStepLabels(
+      this.state.colorCount,
+      this.state.getNamingOptions()
+    );
+
+    if (
+      this.state.selectedStep !== null &&
+      !stepLabels.includes(this.state.selectedStep)
+    ) {
+      this.state.selectedStep = null;
+    }
 
-    let colorsToExport = [...namedColors];
     if (!this.state.features.reverseOrder) {
-      colorsToExport.reverse();
+      stepLabels.reverse();
+    }
+
+    select.innerHTML = [
+      `<option value="">Auto</option>`,
+      ...stepLabels.map((step) => `<option value="${step}">${step}</option>`),
+    ].join("");
+    select.value = this.state.selectedStep || "";
+    select.disabled = Boolean(this.state.targetType);
+  }
+
+  /**
+   * Get contrast of a shade for the current contrast mode.
+   * Against white/black the shade is the background for white and black text;
+   * against a chosen shade the shade is the text on that background.
+   *
+   * @param {string} hex - Shade HEX color
+   * @param {AppState} [state] - State of the palette, the edited one by default
+   * @returns {Array} Contrast entries {key, label, swatch, value, level}
+   * @private
+   */
+  _getContrastInfo(hex, state = this.state) {
+    const backgroundIndex = state.contrastBackground;
+
+    let pairs;
+    if (backgroundIndex !== null && state.generatedColors[backgroundIndex]) {
+      const background = ColorGenerator.generateColorNames(
+        state.generatedColors,
+        state.colorName || "Color",
+        state.getNamingOptions()
+      )[backgroundIndex];
+
+      pairs = [
+        {
+          key: "shade",
+          label: `On ${background.displayName}`,
+          swatch: background.hex,
+          text: hex,
+          background: background.hex,
+        },
+      ];
+    } else {
+      pairs = [
+        {
+          key: "white",
+          label: "W",
+          swatch: "#FFFFFF",
+          text: "#FFFFFF",
+          background: hex,
+        },
+        {
+          key: "black",
+          label: "B",
+          swatch: "#000000",
+          text: "#000000",
+          background: hex,
+        },
+      ];
     }
 
+    return pairs.map(({ key, label, swatch, text, background }) => {
+      if (state.contrastMode === CONTRAST_MODES.APCA) {
+        const lc = ColorMath.getApcaContrast(text, background);
+        return {
+          key,
+          label,
+          swatch,
+          value: `Lc ${Math.round(lc)}`,
+          level: ColorMath.getApcaLevel(lc),
+        };
+      }
+
+      const ratio = ColorMath.getContrastRatio(text, background);
+      return {
+        key,
+        label,
+        swatch,
+        value: ratio.toFixed(2),
+        level: ColorMath.getWcagLevel(ratio),
+      };
+    });
+  }
+
+  /**
+   * Format contrast info as a single line for exported frames
+   * @param {string} hex - Shade HEX color
+   * @param {AppState} [state] - State of the palette, the edited one by default
+   * @returns {string} Label such as "W 4.52 AA · B 4.64 AA"
+   * @private
+   */
+  _formatContrastLabel(hex, state = this.state) {
+    return this._getContrastInfo(hex, state)
+      .map((info) =>
+        [info.label, info.value, info.level].filter(Boolean).join(" ")
+      )
+      .join(" · ");
+  }
+
+  /**
+   * Switch between tabs (Result/Presets/Contrast)
+   * @param {string} tab - Tab name ('result', 'presets' or 'contrast')
+   * @private
+   */
+  _switchTab(tab) {
+    const views = {
+      result: this.elements.resultView,
+      presets: this.elements.presetsList,
+      contrast: this.elements.contrastView,
+      export: this.elements.exportView,
+      tokens: this.elements.tokensView,
+    };
+    const buttons = [...document.querySelectorAll(".toggle-button")];
+    const tabIndex = buttons.findIndex((button) => button.dataset.tab === tab);
+
+    this.elements.toggleSlide.style.transform = `translateX(${tabIndex * 100}%)`;
+    buttons.forEach((button) =>
+      button.classList.toggle("active", button.dataset.tab === tab)
+    );
+
+    const hiddenViews = Object.keys(views)
+      .filter((name) => name !== tab)
+      .map((name) => views[name]);
+    const activeView = views[tab];
+
+    hiddenViews.forEach((view) => (view.style.opacity = "0"));
+    setTimeout(() => {
+      hiddenViews.forEach((view) => (view.style.display = "none"));
+      activeView.style.display = "flex";
+      activeView.style.opacity = "0";
+      setTimeout(() => (activeView.style.opacity = "1"), 10);
+    }, CONFIG.TAB_TRANSITION_DELAY);
+
+    this.state.setActiveTab(tab);
+  }
+
+  /**
+   * Export palette to Figma. With workspace palettes, all of them are
+   * imported in one batch instead of the edited palette.
+   * @private
+   */
+  _exportToFigma() {
+    const isWorkspace = this.state.workspace.length > 0;
+    const paletteStates = isWorkspace
+      ? this.state
+          .getWorkspacePalettes()
+          .map(({ id, settings }) =>
+            this.state.createPaletteState(settings, id)
+          )
+      : [this.state];
+
+    const palettes = paletteStates.map((state) => ({
+      paletteId: state.paletteId,
+      paletteName: state.getPaletteName(),
+      colors: this._getExportColors(state),
+      settings: state.getPaletteSettings(),
+    }));
+
+    parent.postMessage(
+      {
+        pluginMessage: {
+          type: "create-palette",
+          palettes,
+          isRgbFormat: this.state.features.rgbFormat,
+          withVariables: this.state.usesVariables(),
+          withStyles: this.state.usesStyles(),
+          withDarkMode: palettes.some(({ colors }) =>
+            colors.some((color) => color.darkRgb)
+          ),
+          variableTarget: this.state.getVariableTarget(),
+          variableOptions: this.state.getVariableOptions(),
+          semanticPaletteId: this.state.getSemanticTarget().paletteId,
+          semanticTokens: this.state.usesVariables()
+            ? this.state.getSemanticTokens().map((token) => ({
+                role: token.role,
+                step: token.color ? token.color.step : null,
+              }))
+            : [],
+          semanticCollectionName:
+            this.state.semanticCollectionName.trim() ||
+            CONFIG.DEFAULT_SEMANTIC_COLLECTION_NAME,
+        },
+      },
+      "*"
+    );
+  }
+
+  /**
+   * Get colors of a palette in the format expected by the plugin
+   * @param {AppState} state - State of the palette
+   * @returns {Array<Object>} Color data in display order
+   * @private
+   */
+  _getExportColors(state) {
     const rgbDivisor = 255;
-    const exportData = colorsToExport.map((color) => {
+
+    return state.getDisplayColors().map((color) => {
       const rgb = ColorMath.hexToRgb(color.hex);
-      const textColor = ColorMath.getContrastTextColor(color.hex);
+      const textColor = ColorMath.getContrastTextColor(
+        color.hex,
+        state.contrastMode
+      );
+      const darkRgb = color.darkHex && ColorMath.hexToRgb(color.darkHex);
 
       return {
         hex: color.hex,
         name: color.displayName,
+        step: color.step,
         rgb: {
           r: rgb.r / rgbDivisor,
           g: rgb.g / rgbDivisor,
@@ -459,24 +1153,49 @@ export class UIController {
         textColor:
           textColor === "white" ? { r: 1, g: 1, b: 1 } : { r: 0, g: 0, b: 0 },
         rgbString: `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`,
+        contrastLabel: this._formatContrastLabel(color.hex, state),
         isSelected: color.isSelected || false,
+        isAnchor: color.isAnchor || false,
         isBlack: color.isBlack || false,
         isWhite: color.isWhite || false,
+        ...(darkRgb && {
+          darkRgb: {
+            r: darkRgb.r / rgbDivisor,
+            g: darkRgb.g / rgbDivisor,
+            b: darkRgb.b / rgbDivisor,
+          },
+        }),
       };
     });
+  }
 
-    parent.postMessage(
-      {
-        pluginMessage: {
-          type: "create-palette",
-          colors: exportData,
-          paletteName: baseName,
-          isRgbFormat: this.state.features.rgbFormat,
-          withVariables: this.state.features.importWithVariables,
-        },
-      },
-      "*"
-    );
+  /**
+   * Render existing variable collections as suggestions for the collection input
+   * @private
+   */
+  _renderCollectionOptions() {
+    this.elements.collectionOptions.innerHTML = "";
+
+    this.state.collections.forEach((collection) => {
+      const option = document.createElement("option");
+      option.value = collection.name;
+      option.label = collection.modes.map((mode) => mode.name).join(", ");
+      this.elements.collectionOptions.appendChild(option);
+    });
+
+    this._updateCollectionModes();
+  }
+
+  /**
+   * Show modes of the chosen collection, or mark it as new
+   * @private
+   */
+  _updateCollectionModes() {
+    const collection = this.state.getSelectedCollection();
+
+    this.elements.collectionModes.textContent = collection
+      ? collection.modes.map((mode) => mode.name).join(", ")
+      : "New";
   }
 
   /**
@@ -598,7 +1317,10 @@ export class UIController {
       min: CONFIG.CONTRAST_MIN,
       max: CONFIG.CONTRAST_MAX,
       step: CONFIG.CONTRAST_STEP,
-      checkBlocked: () => this.state.features.smartSpacing,
+      checkBlocked: () =>
+        this.state.features.smartSpacing ||
+        Boolean(this.state.targetType) ||
+        this.state.anchors.length > 0,
       onUpdate: (value) => {
         this.state.contrast = value;
         if (value !== 1.0 && this.state.features.smartSpacing) {
@@ -613,7 +1335,7 @@ export class UIController {
       min: CONFIG.COLOR_COUNT_MIN,
       max: CONFIG.COLOR_COUNT_MAX,
       step: 1,
-      checkBlocked: () => false,
+      checkBlocked: () => Boolean(this.state.targetType),
       onUpdate: (value) => {
         this.state.colorCount = value;
         this._regenerateColors();
@@ -657,6 +1379,7 @@ export class UIController {
 
       dragState.active = true;
       dragState.startX = e.clientX;
+      this.state.setDragging(true);
       dragState.startValue = parseFloat(config.input.value);
 
       document.body.style.cursor = "ew-resize";
@@ -683,6 +1406,7 @@ export class UIController {
 
       const handleMouseUp = () => {
         dragState.active = false;
+        this.state.setDragging(false);
         document.body.style.cursor = "";
         document.body.style.userSelect = "";
 
@@ -700,11 +1424,12 @@ export class UIController {
    * @private
    */
   _updateDragControlsState() {
-    const contrastRow = this.elements.contrastInput.closest(".input-row");
-    const contrastIcon = contrastRow?.querySelector("svg");
-    if (contrastIcon && contrastIcon.updateCursor) {
-      contrastIcon.updateCursor();
-    }
+    [this.elements.contrastInput, this.elements.colorCount].forEach((input) => {
+      const icon = input.closest(".input-row")?.querySelector("svg");
+      if (icon && icon.updateCursor) {
+        icon.updateCursor();
+      }
+    });
   }
 
   /**
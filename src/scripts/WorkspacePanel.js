@@ -0,0 +1,185 @@
+import { ColorMath } from "./ColorMath.js";
+
+// ============================================================================
+// WORKSPACE PANEL
+// Lists the palettes of a color system that are imported together
+// ============================================================================
+
+export class WorkspacePanel {
+  constructor(state) {
+    this.state = state;
+    this.container = document.getElementById("workspaceSection");
+
+    this.state.subscribe((changeType) => {
+      if (
+        changeType === "workspace" ||
+        changeType === "restore" ||
+        changeType === "tab"
+      ) {
+        this._render();
+      }
+    });
+  }
+
+  /**
+   * Render workspace palettes when Presets tab is visible
+   * @private
+   */
+  _render() {
+    if (this.state.activeTab !== "presets") return;
+
+    const container = this.container;
+    const palettes = this.state.getWorkspacePalettes();
+    const error = this.state.getWorkspaceError();
+
+    container.innerHTML = "";
+    container.appendChild(this._createHeader());
+
+    if (palettes.length > 0) {
+      container.appendChild(this._createActions());
+    }
+
+    if (error || palettes.length === 0) {
+      const hint = document.createElement("div");
+      hint.className = "presets-hint";
+      hint.classList.toggle("error", Boolean(error));
+      hint.textContent =
+        error || "Add palettes to import them together into one collection";
+      container.appendChild(hint);
+    }
+
+    palettes.forEach((palette, index) => {
+      container.appendChild(
+        this._createPaletteElement(palette, index, palettes.length)
+      );
+    });
+  }
+
+  /**
+   * Create group header with add button
+   * @returns {HTMLElement} Header DOM element
+   * @private
+   */
+  _createHeader() {
+    const header = document.createElement("div");
+    header.className = "presets-group-header";
+
+    const label = document.createElement("span");
+    label.textContent = "Color system";
+
+    const addButton = document.createElement("button");
+    addButton.className = "toolbar-button secondary";
+    addButton.textContent = "Add current";
+    addButton.addEventListener("click", () => this.state.addWorkspacePalette());
+
+    header.append(label, addButton);
+    return header;
+  }
+
+  /**
+   * Create toggle for settings shared by all palettes
+   * @returns {HTMLElement} Actions DOM element
+   * @private
+   */
+  _createActions() {
+    const actions = document.createElement("div");
+    actions.className = "presets-actions";
+
+    const shareButton = document.createElement("button");
+    shareButton.className = "toolbar-button secondary";
+    shareButton.classList.toggle("active", this.state.shareWorkspaceSettings);
+    shareButton.textContent = "Share count, contrast & steps";
+    shareButton.title =
+      "Use count, contrast and step names of the edited palette for all palettes";
+    shareButton.addEventListener("click", () =>
+      this.state.setWorkspaceSharing(!this.state.shareWorkspaceSettings)
+    );
+
+    actions.appendChild(shareButton);
+    return actions;
+  }
+
+  /**
+   * Create element for a workspace palette. Clicking it loads the palette
+   * into the editor; the loaded palette is highlighted.
+   * @param {Object} palette - Palette {id, settings}
+   * @param {number} index - Position in the list
+   * @param {number} count - Number of palettes
+   * @returns {HTMLElement} Palette DOM element
+   * @private
+   */
+  _createPaletteElement(palette, index, count) {
+    const { settings } = palette;
+    const paletteState = this.state.createPaletteState(settings);
+    const isActive = palette.id === this.state.activeWorkspaceId;
+
+    const item = document.createElement("div");
+    item.className = "preset-item user-preset workspace-palette";
+    item.classList.toggle("active", isActive);
+    item.title = isActive ? "Editing, click to stop" : "Click to edit";
+
+    const spectrum = document.createElement("div");
+    spectrum.className = "preset-spectrum";
+    paletteState.getDisplayColors().forEach((color) => {
+      const swatch = document.createElement("div");
+      swatch.className = "spectrum-color";
+      swatch.style.background = color.hex;
+      spectrum.appendChild(swatch);
+    });
+
+    const info = document.createElement("div");
+    info.className = "preset-info";
+    info.style.background = ColorMath.getDesaturatedColor(
+      settings.hue,
+      settings.saturation,
+      settings.value,
+      settings.saturationControl
+    );
+
+    const name = document.createElement("span");
+    name.className = "preset-name";
+    name.textContent = paletteState.getPaletteName();
+
+    const actions = document.createElement("div");
+    actions.className = "preset-actions";
+    [
+      {
+        label: "↑",
+        title: "Move up",
+        disabled: index === 0,
+        onClick: () => this.state.moveWorkspacePalette(index, -1),
+      },
+      {
+        label: "↓",
+        title: "Move down",
+        disabled: index === count - 1,
+        onClick: () => this.state.moveWorkspacePalette(index, 1),
+      },
+      {
+        label: "×",
+        title: "Remove",
+        onClick: () => this.state.removeWorkspacePalette(palette.id),
+      },
+    ].forEach(({ label, title, disabled, onClick }) => {
+      const button = document.createElement("button");
+      button.className = "preset-action";
+      button.textContent = label;
+      button.title = title;
+      button.disabled = Boolean(disabled);
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      actions.appendChild(button);
+    });
+
+    info.append(name, actions);
+    item.append(spectrum, info);
+
+    item.addEventListener("click", () =>
+      this.state.selectWorkspacePalette(palette.id)
+    );
+
+    return item;
+  }
+}
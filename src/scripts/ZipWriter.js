@@ -0,0 +1,182 @@
+// ============================================================================
+// ZIP WRITER
+// Minimal ZIP archive builder (stored, uncompressed) for downloads from the UI
+// ============================================================================
+
+let crcTable = null;
+
+export class ZipWriter {
+  /**
+   * Create ZIP archive from files
+   * @param {Array<Object>} files - Files {path, content}; content is a string or Uint8Array
+   * @param {Date} [date] - Modification date stored for every entry
+   * @returns {Uint8Array} ZIP archive bytes
+   */
+  static create(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const time = this._toDosTime(date);
+    const dosDate = this._toDosDate(date);
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach((file) => {
+      const name = encoder.encode(file.path);
+      const data =
+        typeof file.content === "string"
+          ? encoder.encode(file.content)
+          : file.content;
+      const crc = this._crc32(data);
+
+      const local = this._writeHeader(30, [
+        [4, 0x04034b50],
+        [2, 20], // version needed to extract
+        [2, 0x0800], // UTF-8 file names
+        [2, 0], // stored
+        [2, time],
+        [2, dosDate],
+        [4, crc],
+        [4, data.length],
+        [4, data.length],
+        [2, name.length],
+        [2, 0],
+      ]);
+
+      const central = this._writeHeader(46, [
+        [4, 0x02014b50],
+        [2, 20], // version made by
+        [2, 20], // version needed to extract
+        [2, 0x0800],
+        [2, 0],
+        [2, time],
+        [2, dosDate],
+        [4, crc],
+        [4, data.length],
+        [4, data.length],
+        [2, name.length],
+        [2, 0], // extra field length
+        [2, 0], // comment length
+        [2, 0], // disk number
+        [2, 0], // internal attributes
+        [4, 0], // external attributes
+        [4, offset],
+      ]);
+
+      localParts.push(local, name, data);
+      centralParts.push(central, name);
+      offset += local.length + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce(
+      (sum, part) => sum + part.length,
+      0
+    );
+    const end = this._writeHeader(22, [
+      [4, 0x06054b50],
+      [2, 0],
+      [2, 0],
+      [2, files.length],
+      [2, files.length],
+      [4, centralSize],
+      [4, offset],
+      [2, 0],
+    ]);
+
+    return this.concat([...localParts, ...centralParts, end]);
+  }
+
+  /**
+   * Write little-endian header fields
+   * @param {number} size - Header size in bytes
+   * @param {Array<Array<number>>} fields - Fields [byteLength, value]
+   * @returns {Uint8Array} Header bytes
+   * @private
+   */
+  static _writeHeader(size, fields) {
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let position = 0;
+
+    fields.forEach(([length, value]) => {
+      if (length === 4) view.setUint32(position, value >>> 0, true);
+      else view.setUint16(position, value, true);
+      position += length;
+    });
+
+    return bytes;
+  }
+
+  /**
+   * Concatenate byte arrays
+   * @param {Array<Uint8Array>} parts - Byte arrays
+   * @returns {Uint8Array} Joined bytes
+   */
+  static concat(parts) {
+    const result = new Uint8Array(
+      parts.reduce((sum, part) => sum + part.length, 0)
+    );
+    let position = 0;
+
+    parts.forEach((part) => {
+      result.set(part, position);
+      position += part.length;
+    });
+
+    return result;
+  }
+
+  /**
+   * Calculate CRC-32 checksum (IEEE polynomial)
+   * @param {Uint8Array} data - Input bytes
+   * @returns {number} Unsigned checksum
+   * @private
+   */
+  static _crc32(data) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Convert date to MS-DOS time
+   * @param {Date} date - Date
+   * @returns {number} DOS time
+   * @private
+   */
+  static _toDosTime(date) {
+    return (
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2)
+    );
+  }
+
+  /**
+   * Convert date to MS-DOS date
+   * @param {Date} date - Date
+   * @returns {number} DOS date
+   * @private
+   */
+  static _toDosDate(date) {
+    return (
+      ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate()
+    );
+  }
+}
@@ -14,6 +14,32 @@ export const CONFIG = {
   SUPERELLIPSE_TOLERANCE: 0.001,
   SUPERELLIPSE_MAX_ITERATIONS: 100,
 
+  // Working color spaces
+  OKLCH_CHROMA_MAX: 0.37,
+  LAB_CHROMA_MAX: 150,
+  LAB_WHITE_POINT: [0.95047, 1.0, 1.08883],
+  ACHROMATIC_THRESHOLD: 0.005,
+  GAMUT_TOLERANCE: 0.0001,
+  GAMUT_MAX_ITERATIONS: 24,
+
+  // Accessibility
+  WCAG_AA_RATIO: 4.5,
+  WCAG_AAA_RATIO: 7,
+  APCA_BODY_LC: 75,
+  APCA_CONTENT_LC: 60,
+  APCA_LARGE_LC: 45,
+
+  // Target contrast generation
+  TARGET_SOLVER_ITERATIONS: 30,
+  TARGET_CONTRAST_MIN: 1,
+  TARGET_CONTRAST_MAX: 21,
+
+  // Hue shift
+  HUE_SHIFT_MIN: -180,
+  HUE_SHIFT_MAX: 180,
+  HUE_SHIFT_WARM_HUE: 60,
+  HUE_SHIFT_COOL_HUE: 240,
+
   // Input constraints
   CONTRAST_MIN: 0.1,
   CONTRAST_MAX: 5.0,
@@ -21,6 +47,19 @@ export const CONFIG = {
   COLOR_COUNT_MIN: 1,
   COLOR_COUNT_MAX: 50,
 
+  // Figma variables
+  DEFAULT_COLLECTION_NAME: "Global",
+  DEFAULT_SEMANTIC_COLLECTION_NAME: "Semantic",
+
+  // Presets and session
+  PRESET_LIBRARY_VERSION: 1,
+  SESSION_VERSION: 2,
+  SESSION_SAVE_DELAY: 500,
+
+  // Undo history
+  HISTORY_LIMIT: 50,
+  HISTORY_COALESCE_DELAY: 500,
+
   // Saturation control
   SATURATION_MIN: 0,
   SATURATION_MAX: 100,
@@ -32,6 +71,8 @@ export const CONFIG = {
   TOOLTIP_DELAY: 1000,
   ERROR_TOOLTIP_DELAY: 500,
   TAB_TRANSITION_DELAY: 150,
+  EXPORT_FEEDBACK_DURATION: 1500,
+  PROCREATE_MAX_SWATCHES: 30,
 
   // Visual styles
   CURVE_STROKE_WIDTH: 2,
@@ -40,8 +81,127 @@ export const CONFIG = {
   POINT_SECONDARY_OPACITY: 0.85,
 };
 
+export const COLOR_SPACES = {
+  HSV: "hsv",
+  OKLCH: "oklch",
+  LAB: "lab",
+};
+
+export const NAMING_SCHEMES = {
+  DEFAULT: "default",
+  TAILWIND: "tailwind",
+  MATERIAL: "material",
+  RADIX: "radix",
+  CUSTOM: "custom",
+};
+
+// Reference step scales, listed from the dark to the light end
+export const STEP_SCALES = {
+  [NAMING_SCHEMES.TAILWIND]: [
+    950, 900, 800, 700, 600, 500, 400, 300, 200, 100, 50,
+  ],
+  [NAMING_SCHEMES.MATERIAL]: [
+    0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99, 100,
+  ],
+};
+
+// Steps used instead of evenly spaced picks for some palette sizes
+export const STEP_SCALE_SIZES = {
+  [NAMING_SCHEMES.TAILWIND]: {
+    10: [900, 800, 700, 600, 500, 400, 300, 200, 100, 50],
+  },
+  [NAMING_SCHEMES.MATERIAL]: {
+    11: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100],
+  },
+};
+
+export const EXPORT_FORMATS = {
+  DTCG: "dtcg",
+  CSS: "css",
+  SCSS: "scss",
+  TAILWIND: "tailwind",
+  JS: "js",
+  TS: "ts",
+  NATIVE: "native",
+  ASE: "ase",
+  GPL: "gpl",
+  PROCREATE: "procreate",
+};
+
+export const VALUE_FORMATS = {
+  HEX: "hex",
+  RGB: "rgb",
+  OKLCH: "oklch",
+};
+
+export const HUE_SHIFT_CURVES = {
+  LINEAR: "linear",
+  EASE: "ease",
+  SUPERELLIPSE: "superellipse",
+};
+
+export const DARK_MODES = {
+  OFF: "off",
+  MIRROR: "mirror",
+  MATCH: "match",
+};
+
+export const IMPORT_MODES = {
+  VARIABLES: "variables",
+  STYLES: "styles",
+};
+
+export const VARIABLE_SCOPES = {
+  ALL: "all",
+  FILL_STROKE: "fill-stroke",
+  FILL: "fill",
+  TEXT: "text",
+};
+
+// Code syntax templates per Figma platform; {palette} and {step} follow the
+// platform's casing (kebab-case, snake_case, camelCase)
+export const CODE_SYNTAX_TEMPLATES = {
+  WEB: "var(--{palette}-{step})",
+  ANDROID: "{palette}_{step}",
+  iOS: "{palette}{step}",
+};
+
+export const CONTRAST_MODES = {
+  WCAG: "wcag",
+  APCA: "apca",
+};
+
+export const TARGET_TYPES = {
+  CONTRAST_WHITE: "contrast-white",
+  CONTRAST_BLACK: "contrast-black",
+  LUMINANCE: "luminance",
+};
+
+export const CONTRAST_THRESHOLDS = {
+  wcag: [3, 4.5, 7],
+  apca: [30, 45, 60, 75, 90],
+};
+
+// APCA-W3 0.0.98G-4g constants
+export const APCA_CONSTANTS = {
+  MAIN_TRC: 2.4,
+  R_COEF: 0.2126729,
+  G_COEF: 0.7151522,
+  B_COEF: 0.072175,
+  NORM_BG: 0.56,
+  NORM_TXT: 0.57,
+  REV_TXT: 0.62,
+  REV_BG: 0.65,
+  BLACK_THRESHOLD: 0.022,
+  BLACK_CLAMP: 1.414,
+  SCALE: 1.14,
+  LOW_OFFSET: 0.027,
+  LOW_CLIP: 0.1,
+  DELTA_Y_MIN: 0.0005,
+};
+
 export const FEATURE_TOOLTIPS = {
-  variables: "Import with<br>variables",
+  variables: "Bind to variables<br>or styles",
   reverse: "Reverse order",
   blackwhite: "Include black<br>and white",
   smartSpacing: "Smart Spacing",
@@ -2,6 +2,12 @@ import { CONFIG } from "./config.js";
 import { AppState } from "./AppState.js";
 import { UIController } from "./UIController.js";
 import { PresetManager } from "./PresetManager.js";
+import { ContrastMatrix } from "./ContrastMatrix.js";
+import { ExportPanel } from "./ExportPanel.js";
+import { SemanticPanel } from "./SemanticPanel.js";
+import { SessionManager } from "./SessionManager.js";
+import { HistoryPanel } from "./HistoryPanel.js";
+import { WorkspacePanel } from "./WorkspacePanel.js";
 import { ColorGenerator } from "./ColorGenerator.js";
 
 // ============================================================================
@@ -14,6 +20,12 @@ class Application {
     this.state = new AppState();
     this.ui = null;
     this.presetManager = null;
+    this.contrastMatrix = null;
+    this.exportPanel = null;
+    this.semanticPanel = null;
+    this.sessionManager = null;
+    this.historyPanel = null;
+    this.workspacePanel = null;
   }
 
   /**
@@ -34,8 +46,16 @@ class Application {
   _setup() {
     this.ui = new UIController(this.state);
     this.presetManager = new PresetManager(this.state);
+    this.contrastMatrix = new ContrastMatrix(this.state);
+    this.exportPanel = new ExportPanel(this.state);
+    this.semanticPanel = new SemanticPanel(this.state);
+    this.historyPanel = new HistoryPanel(this.state);
+    this.workspacePanel = new WorkspacePanel(this.state);
     this._performInitialRender();
 
+    // Restores the last session once the plugin sends it
+    this.sessionManager = new SessionManager(this.state);
+
     console.log("✨ Shade Perfection initialized successfully");
   }
 
@@ -48,16 +68,9 @@ class Application {
     this.ui.colorPicker.drawCurve();
     this.ui.colorPicker.drawDesaturatedCurve();
 
-    const { colors, curvePoints } = ColorGenerator.generatePalette({
-      hue: this.state.hue,
-      saturation: this.state.saturation,
-      value: this.state.value,
-      colorCount: this.state.colorCount,
-      contrast: this.state.contrast,
-      smartSpacing: this.state.features.smartSpacing,
-      includeBlackWhite: this.state.features.includeBlackWhite,
-      saturationControl: this.state.saturationControl,
-    });
+    const { colors, curvePoints } = ColorGenerator.generatePalette(
+      this.state.getGenerationParams()
+    );
 
     this.state.updateGeneratedColors(colors, curvePoints);
 
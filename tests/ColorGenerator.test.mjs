@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ColorGenerator } from "../src/scripts/ColorGenerator.js";
+import { ColorMath } from "../src/scripts/ColorMath.js";
+import { COLOR_SPACES } from "../src/scripts/config.js";
+
+const generate = (selectedHex, anchors, colorSpace) => {
+  const { h, s, v } = ColorMath.hexToHsv(selectedHex);
+  const { colors } = ColorGenerator.generatePalette({
+    hue: h,
+    saturation: s,
+    value: v,
+    colorCount: 10,
+    contrast: 1,
+    smartSpacing: false,
+    includeBlackWhite: false,
+    saturationControl: 100,
+    colorSpace,
+    anchors,
+  });
+  return ColorGenerator.generateColorNames(colors, "Blue");
+};
+
+// A dark anchor with less chroma than the selected color lies closer to the
+// middle of the curve than the selected color does, but is darker
+test("dark anchor with lower chroma is kept in OKLCH", () => {
+  const anchors = [{ step: "90", hex: "#1E3A8A" }];
+  const colors = generate("#2563EB", anchors, COLOR_SPACES.OKLCH);
+
+  assert.equal(ColorGenerator.validateAnchors(anchors, colors), null);
+  assert.deepEqual(
+    colors.filter((color) => color.isAnchor).map((color) => color.step),
+    ["90", "60"]
+  );
+});
+
+test("anchor lighter than the selected color on a darker step is flagged", () => {
+  const anchors = [{ step: "90", hex: "#BFDBFE" }];
+  const colors = generate("#2563EB", anchors, COLOR_SPACES.OKLCH);
+
+  assert.match(ColorGenerator.validateAnchors(anchors, colors), /out of order/);
+});
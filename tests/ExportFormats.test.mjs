@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { ExportFormats } from "../src/scripts/ExportFormats.js";
+
+// Reference files in fixtures/ were written independently of ExportFormats:
+// palette.ase and palette.gpl by a script following the format specs,
+// palette.swatches checked by unpacking it and reading Swatches.json.
+
+const fixture = (name) =>
+  new Uint8Array(readFileSync(new URL(`fixtures/${name}`, import.meta.url)));
+
+const colors = [
+  { displayName: "Blue 100", step: "100", hex: "#E3F0FF" },
+  { displayName: "Blue 500", step: "500", hex: "#1E6FD9" },
+  { displayName: "Blå 900", step: "900", hex: "#0A1F44" },
+];
+
+// Local date, so the DOS timestamp in the archive does not depend on time zone
+const archiveDate = new Date(2025, 0, 2, 3, 4, 6);
+
+test("toAse matches reference file byte for byte", () => {
+  assert.deepEqual(ExportFormats.toAse(colors, "Blue"), fixture("palette.ase"));
+});
+
+test("toGpl matches reference file byte for byte", () => {
+  const gpl = new TextEncoder().encode(ExportFormats.toGpl(colors, "Blue"));
+  assert.deepEqual(gpl, fixture("palette.gpl"));
+});
+
+test("toProcreate matches reference file byte for byte", () => {
+  assert.deepEqual(
+    ExportFormats.toProcreate(colors, "Blue", archiveDate),
+    fixture("palette.swatches")
+  );
+});